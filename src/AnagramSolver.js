@@ -0,0 +1,120 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { solveRack, MAX_RACK_SIZE } from './anagram';
+
+const MAX_WORDS_PER_LENGTH = 300;
+// Patterns in this many of the rarest tiers count as rare
+const RARE_TIERS = 2;
+
+// Shortest rare ending and start of a word, as { pattern, type, count }
+const findRarePatterns = (word, wordIndices, patternLengths, getRarityRank) => {
+  const found = [];
+  const sides = [
+    { type: 'ends', lookup: wordIndices.endsMap, slice: (len) => word.slice(-len) },
+    { type: 'starts', lookup: wordIndices.startsMap, slice: (len) => word.slice(0, len) }
+  ];
+
+  sides.forEach(({ type, lookup, slice }) => {
+    for (let len = Math.max(3, patternLengths.min); len <= Math.min(patternLengths.max, word.length - 1); len++) {
+      const pattern = slice(len);
+      const count = lookup.count(pattern);
+      if (count >= 2 && getRarityRank(count) < RARE_TIERS) {
+        found.push({ pattern, type, count });
+        break;
+      }
+    }
+  });
+  return found;
+};
+
+function AnagramSolver({ rack, onRackChange, words, wordIndices, patternLengths, getRarityClass, getRarityRank }) {
+  const [minLength, setMinLength] = useState(3);
+  const deferredRack = useDeferredValue(rack);
+
+  const results = useMemo(() => {
+    if (!words || !deferredRack.trim()) return [];
+    return solveRack(words, deferredRack.slice(0, MAX_RACK_SIZE), minLength).map(group => ({
+      ...group,
+      matches: group.matches.slice(0, MAX_WORDS_PER_LENGTH).map(match => ({
+        ...match,
+        patterns: findRarePatterns(match.word, wordIndices, patternLengths, getRarityRank)
+      })),
+      total: group.matches.length
+    }));
+  }, [words, deferredRack, minLength, wordIndices, patternLengths, getRarityRank]);
+
+  const totalWords = results.reduce((sum, group) => sum + group.total, 0);
+
+  return (
+    <div className="anagram-mode">
+      <div className="search-section">
+        <div className="search-controls">
+          <input
+            type="text"
+            className="search-input"
+            placeholder="Enter your rack, e.g. 'retains' or 'qu?zzle' (? or _ for a blank)..."
+            value={rack}
+            maxLength={MAX_RACK_SIZE}
+            onChange={(e) => onRackChange(e.target.value)}
+            aria-label="Letter rack"
+          />
+          <select
+            className="filter-select"
+            value={minLength}
+            onChange={(e) => setMinLength(parseInt(e.target.value))}
+            aria-label="Minimum word length"
+          >
+            {[2, 3, 4, 5, 6, 7].map(len => (
+              <option key={len} value={len}>{len}+ Letters</option>
+            ))}
+          </select>
+        </div>
+        {rack.trim() && (
+          <div className="stats">
+            {totalWords} word{totalWords !== 1 ? 's' : ''} from {rack.slice(0, MAX_RACK_SIZE).toUpperCase()} • Blank letters shown in lowercase • Rare patterns marked by rarity
+          </div>
+        )}
+      </div>
+
+      {results.map(group => (
+        <div key={group.length} className="word-section anagram-group">
+          <h4 className="section-title">
+            {group.length} letters ({group.total})
+          </h4>
+          <div className="words-grid">
+            {group.matches.map(({ word, blanks, patterns }) => (
+              <div key={word} className="word-chip anagram-chip">
+                <span className="anagram-word">
+                  {Array.from(word).map((char, i) => (
+                    blanks.includes(i)
+                      ? <span key={i} className="blank-letter">{char}</span>
+                      : char.toUpperCase()
+                  ))}
+                </span>
+                {patterns.map(({ pattern, type, count }) => (
+                  <span
+                    key={`${type}-${pattern}`}
+                    className={`rarity-badge mini-badge ${getRarityClass(count)}`}
+                    title={`${count} words ${type === 'ends' ? 'end' : 'start'} with this`}
+                  >
+                    {type === 'ends' ? '-' : ''}{pattern.toUpperCase()}{type === 'starts' ? '-' : ''}
+                  </span>
+                ))}
+              </div>
+            ))}
+            {group.total > group.matches.length && (
+              <div className="no-words-message">
+                …and {group.total - group.matches.length} more {group.length}-letter words.
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {rack.trim() && deferredRack === rack && results.length === 0 && (
+        <div className="no-patterns-message">No words can be made from these letters.</div>
+      )}
+    </div>
+  );
+}
+
+export default AnagramSolver;
@@ -1,151 +1,424 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useDeferredValue, useRef } from 'react';
 import './App.css';
+import {
+  loadSchedules,
+  saveSchedules,
+  scheduleFor,
+  reviewCard,
+  gradeFromRatio,
+  pickNextPattern,
+  orderWords,
+  getDuePatternKeys,
+  wordKey
+} from './spacedRepetition';
+import { loadHistory, saveHistory, buildSession, GAME_MODES } from './studyHistory';
+import ProgressDashboard from './ProgressDashboard';
+import AnagramSolver from './AnagramSolver';
+import PatternDetail from './PatternDetail';
+import ExportMenu from './ExportMenu';
+import Leaderboard from './Leaderboard';
+import QuizQuestion from './QuizQuestion';
+import { HINT_LEVELS, hintedPoints, hintedQuality, describeHint } from './hints';
+import {
+  FORM_POINTS_SHARE,
+  loadAcceptForms,
+  saveAcceptForms,
+  diagnoseMiss,
+  describeMiss,
+  answerWord,
+  judgeAnswer
+} from './answerFeedback';
+import WordChip from './WordChip';
+import WordDefinition from './WordDefinition';
+import ShortcutHelp from './ShortcutHelp';
+import RaritySettings from './RaritySettings';
+import VirtualList from './VirtualList';
+import PatternCompare from './PatternCompare';
+import StudyDecks from './StudyDecks';
+import WordPuzzle from './WordPuzzle';
+import { PUZZLE_KINDS, PUZZLE_LEVELS } from './puzzle';
+import PartySetup from './PartySetup';
+import PassAndPlay from './PassAndPlay';
+import { loadPartySettings, savePartySettings, playerNames, drawRounds } from './party';
+import { loadDecks, saveDecks, resolveDeck } from './decks';
+import { SORT_ORDERS, GROUPINGS, sortPatterns, groupPatterns } from './patternSort';
+import {
+  loadRaritySettings,
+  saveRaritySettings,
+  raritySettingsFor,
+  sortTiers,
+  tierIndex,
+  tierLabel,
+  rarityCount,
+  tierStyles,
+  isLearnable,
+  describeLearnable
+} from './rarityTiers';
+import { isTypingTarget, moveFocus } from './shortcuts';
+import {
+  SPEECH_RATES,
+  isSpeechSupported,
+  loadSpeechSettings,
+  saveSpeechSettings,
+  watchVoices,
+  speak,
+  stopSpeaking
+} from './speech';
+import { UPDATE_READY_EVENT, applyUpdate } from './serviceWorkerRegistration';
+import { QUIZ_MODES, buildChoiceQuestions, buildRealFakeQuestions, isCorrectPick } from './quiz';
+import {
+  TIMER_MODES,
+  timedWordPoints,
+  streakMultiplier,
+  leaderboardKey,
+  loadLeaderboard,
+  saveLeaderboard,
+  addRun,
+  loadPlayerName,
+  savePlayerName
+} from './timedChallenge';
+import { explorePatternRows, wordGroupRows, learnPatternRows } from './exportData';
+import WordListImport from './WordListImport';
+import { isWordQuery, searchWords } from './wordQuery';
+import { parseRoute, buildRoute, onlyIncrementalChanges, MAX_COMPARED } from './urlState';
+import {
+  RULESETS,
+  loadRuleset,
+  saveRuleset,
+  scoreWord,
+  scoreWords,
+  createWordChecker
+} from './wordGame';
+import {
+  loadManifest,
+  loadDictionary,
+  loadLexicon,
+  loadSelectedDictionaryId,
+  saveSelectedDictionaryId,
+  loadImportedDictionaries,
+  saveImportedDictionaries,
+  parseWordList,
+  createImportedDictionary,
+  forgetDictionary,
+  patternMax,
+  DEFAULT_PATTERN_LENGTHS
+} from './dictionaries';
+
+// Tooltips for the misses list
+const MISS_LABELS = {
+  form: 'Another form of a word you need',
+  typo: 'Near miss - check the spelling',
+  'real-word': "A real word that doesn't fit",
+  'not-a-word': 'Not in the dictionary'
+};
+
+const rowKey = (row) => row.key;
+
+// Step 2 cards for the Learn game modes, in the order of the 1-6 shortcuts
+const GAME_MODE_CARDS = [
+  { id: 'find', icon: '🔍', description: 'Type word parts to complete the pattern. Test your recall!' },
+  { id: 'repeat', icon: '🔁', description: 'Type each word 3 times, then from memory. Build muscle memory!' },
+  { id: 'dictation', icon: '🎧', description: 'Hear each word and spell it. No peeking!', needsSpeech: true },
+  { id: 'choice', icon: '🔢', description: 'Pick the real word out of four. A gentle start for new patterns!' },
+  { id: 'realfake', icon: '🕵️', description: 'Decide whether each word is in the dictionary. Train your eye!' },
+  { id: 'party', icon: '👥', description: '2-6 players take turns on one device, claiming words for points. Who knows the most?' }
+];
+
+// What the Explore rarity badge counts, by the dictionary's countBy setting
+const RARITY_BADGE_LABELS = { total: 'total', ends: 'ending', starts: 'starting' };
 
 function App() {
-  const [currentDictionary, setCurrentDictionary] = useState(null);
-  const [prefixCounts, setPrefixCounts] = useState(null);
+  // State restored from the URL on first load (see urlState.js)
+  const [initialRoute] = useState(() => parseRoute(window.location.hash));
+
+  const [manifestDictionaries, setManifestDictionaries] = useState([]);
+  const [importedDictionaries, setImportedDictionaries] = useState(loadImportedDictionaries);
+  const [dictionaryId, setDictionaryId] = useState(() => initialRoute.dict || loadSelectedDictionaryId());
+  const [dictionaryData, setDictionaryData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null); // { stage, percent } while indexing
   const [error, setError] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [lengthFilter, setLengthFilter] = useState('all');
-  const [rarityFilter, setRarityFilter] = useState('all');
-  const [expandedPattern, setExpandedPattern] = useState(null);
-  const [mode, setMode] = useState('explore'); // 'explore', 'learn', or 'repeat'
-  const [learnMode, setLearnMode] = useState('find'); // 'find' or 'repeat'
-  const [currentPage, setCurrentPage] = useState(1);
-  const itemsPerPage = 100;
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [pendingUpdate, setPendingUpdate] = useState(null); // service worker registration with a new version waiting
+  const [lexicon, setLexicon] = useState(null); // word -> senses, if the dictionary has a lexicon
+  const [definedWord, setDefinedWord] = useState(null); // word whose definition is showing
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [announcement, setAnnouncement] = useState({ id: 0, text: '' }); // read out by screen readers
+  const [searchQuery, setSearchQuery] = useState(initialRoute.q);
+  const [lengthFilter, setLengthFilter] = useState(initialRoute.len);
+  const [rarityFilter, setRarityFilter] = useState(initialRoute.rarity);
+  const [sortOrder, setSortOrder] = useState(initialRoute.sort); // a key of SORT_ORDERS
+  const [groupBy, setGroupBy] = useState(initialRoute.group); // 'none', 'first' or 'last' letter
+  const [wordToCheck, setWordToCheck] = useState('');
+  const [ruleset, setRuleset] = useState(loadRuleset);
+  const [raritySettingsByDictionary, setRaritySettingsByDictionary] = useState(loadRaritySettings);
+  const [showRaritySettings, setShowRaritySettings] = useState(false);
+  const [expandedPattern, setExpandedPattern] = useState(initialRoute.open);
+  const [detailPattern, setDetailPattern] = useState(initialRoute.detail);
+  const [comparePatterns, setComparePatterns] = useState(initialRoute.compare); // patterns in the open compare view
+  const [compareSelection, setCompareSelection] = useState(initialRoute.compare); // patterns picked for comparing
+  const [mode, setMode] = useState(initialRoute.mode); // 'explore', 'learn', 'anagram', 'puzzle' or 'progress'
+  const [learnMode, setLearnMode] = useState(initialRoute.game); // 'find', 'repeat', 'dictation', 'choice', 'realfake' or 'party'
+  const [anagramRack, setAnagramRack] = useState(initialRoute.rack);
+  const [puzzleKind, setPuzzleKind] = useState(PUZZLE_KINDS[initialRoute.puzzle] ? initialRoute.puzzle : 'affix');
+  const [puzzleLevel, setPuzzleLevel] = useState(PUZZLE_LEVELS[initialRoute.level] ? initialRoute.level : 'easy');
+  const maxQueryWordsShown = 500;
 
   // Learn mode state
-  const [selectedPatterns, setSelectedPatterns] = useState([]);
-  const [customPatternInput, setCustomPatternInput] = useState('');
-  const [patternTypeFilter, setPatternTypeFilter] = useState('all'); // 'all', 'ends', 'starts'
+  const [selectedPatterns, setSelectedPatterns] = useState(initialRoute.select);
+  const [customPatternInput, setCustomPatternInput] = useState(initialRoute.filter);
+  const [studyDecks, setStudyDecks] = useState(loadDecks); // saved selections, for every dictionary
+  const [patternTypeFilter, setPatternTypeFilter] = useState(initialRoute.type); // 'all', 'ends', 'starts'
   const [isStudying, setIsStudying] = useState(false);
-  const [currentChallengeIndex, setCurrentChallengeIndex] = useState(0);
+  // Study session requested by the URL, started once patterns are loaded
+  const [pendingStudy, setPendingStudy] = useState(
+    initialRoute.study ? { game: initialRoute.game, select: initialRoute.select } : null
+  );
+  const [currentPatternKey, setCurrentPatternKey] = useState(null);
+  const [challengeWords, setChallengeWords] = useState([]);
   const [userAnswer, setUserAnswer] = useState('');
   const [showAnswer, setShowAnswer] = useState(false);
   const [correctAnswers, setCorrectAnswers] = useState(0);
+  const [points, setPoints] = useState(0);
   const [totalAttempts, setTotalAttempts] = useState(0);
   const [foundWords, setFoundWords] = useState(new Set());
   const [attemptedWords, setAttemptedWords] = useState(new Set());
+  const [revealedWords, setRevealedWords] = useState(new Set()); // given away by a hint
+  const [hint, setHint] = useState(null); // { word, level } for the word being hinted at
+  const [answerFeedback, setAnswerFeedback] = useState(null); // { kind, message } for the last answer
+  const [patternGraded, setPatternGraded] = useState(false); // Find Words pattern already reviewed
+  const [missLog, setMissLog] = useState([]); // wrong answers for the current challenge: { word, kind }
+  const [acceptedForms, setAcceptedForms] = useState([]); // { word, base } answered with another form
+  const [acceptForms, setAcceptForms] = useState(loadAcceptForms);
+
+  // Timed Find Words runs
+  const [timerMode, setTimerMode] = useState(TIMER_MODES[initialRoute.timer] ? initialRoute.timer : 'off');
+  const [timedRun, setTimedRun] = useState(null); // { mode, endsAt, queue, finished, key, rank, runId }
+  const [clock, setClock] = useState(Date.now());
+  const [streak, setStreak] = useState(0);
+  const [bestStreak, setBestStreak] = useState(0);
+  const [leaderboard, setLeaderboard] = useState(loadLeaderboard);
+  const [playerName, setPlayerName] = useState(loadPlayerName);
+
+  // Pass & Play games
+  const [partySettings, setPartySettings] = useState(loadPartySettings); // { players, rounds }
+  const [partyGame, setPartyGame] = useState(null); // { id, players, challenges } while playing
 
   // Repeat after me mode state
   const [currentWordIndex, setCurrentWordIndex] = useState(0);
   const [repeatCount, setRepeatCount] = useState(0);
   const [hideWord, setHideWord] = useState(false);
+  const [missedWords, setMissedWords] = useState(new Set());
+
+  // Speech output for Repeat After Me and Dictation
+  const [speechSettings, setSpeechSettings] = useState(loadSpeechSettings);
+  const [voices, setVoices] = useState([]);
+
+  // Quiz mode state - the question index is currentWordIndex
+  const [quizPick, setQuizPick] = useState(null);
+
+  // Spaced-repetition schedules, persisted across sessions; each dictionary has its own
+  const [srsSchedules, setSrsSchedules] = useState(() => loadSchedules(loadSelectedDictionaryId()));
+  const srsSchedule = useMemo(() => scheduleFor(srsSchedules, dictionaryId), [srsSchedules, dictionaryId]);
+
+  // Study history - the running session is saved when practice ends
+  const [studyHistory, setStudyHistory] = useState(loadHistory);
+  const [sessionStartedAt, setSessionStartedAt] = useState(null);
+  const [sessionPatterns, setSessionPatterns] = useState([]);
+  const [sessionFound, setSessionFound] = useState(new Set());
+  const [sessionMissed, setSessionMissed] = useState(new Set());
+  const [sessionHints, setSessionHints] = useState({}); // word -> strongest hint used for it
+
+  // Track connectivity for the offline indicator
+  useEffect(() => {
+    const updateOnlineStatus = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnlineStatus);
+    window.addEventListener('offline', updateOnlineStatus);
+    return () => {
+      window.removeEventListener('online', updateOnlineStatus);
+      window.removeEventListener('offline', updateOnlineStatus);
+    };
+  }, []);
 
-  // Load dictionary and prefix counts
+  // Offer to reload when a new deploy has installed in the background
   useEffect(() => {
+    const handleUpdateReady = (e) => setPendingUpdate(e.detail);
+    window.addEventListener(UPDATE_READY_EVENT, handleUpdateReady);
+    return () => window.removeEventListener(UPDATE_READY_EVENT, handleUpdateReady);
+  }, []);
+
+  // Load the list of available dictionaries
+  useEffect(() => {
+    const loadDictionaries = async () => {
+      try {
+        const manifest = await loadManifest();
+        const available = [...manifest, ...loadImportedDictionaries()];
+        setManifestDictionaries(manifest);
+        setDictionaryId(prev => available.some(d => d.id === prev) ? prev : available[0]?.id || null);
+      } catch (err) {
+        setError(`Error loading data: ${err.message}`);
+      }
+    };
+    loadDictionaries();
+  }, []);
+
+  const dictionaries = useMemo(
+    () => [...manifestDictionaries, ...importedDictionaries],
+    [manifestDictionaries, importedDictionaries]
+  );
+
+  // Load the selected dictionary (cached after the first load)
+  useEffect(() => {
+    const entry = dictionaries.find(d => d.id === dictionaryId);
+    if (!entry) return;
+
+    let cancelled = false;
     const loadData = async () => {
       setIsLoading(true);
+      setLoadProgress(null);
       setError(null);
 
       try {
-        // Load dictionary
-        const dictResponse = await fetch(`${process.env.PUBLIC_URL}/dict_english.json`);
-        if (!dictResponse.ok) {
-          throw new Error(`Failed to load dictionary (${dictResponse.status})`);
+        const data = await loadDictionary(entry, (stage, percent) => setLoadProgress({ stage, percent }));
+        if (!cancelled) {
+          setDictionaryData(data);
+          saveSelectedDictionaryId(entry.id);
         }
-        const words = await dictResponse.json();
-        setCurrentDictionary(words);
-
-        // Load prefix counts
-        const prefixResponse = await fetch(`${process.env.PUBLIC_URL}/prefix_count.json`);
-        if (!prefixResponse.ok) {
-          throw new Error(`Failed to load prefix counts (${prefixResponse.status})`);
-        }
-        const prefixes = await prefixResponse.json();
-        setPrefixCounts(prefixes);
-
-        setIsLoading(false);
       } catch (err) {
-        setError(`Error loading data: ${err.message}`);
-        setIsLoading(false);
+        if (!cancelled) setError(`Error loading data: ${err.message}`);
+      } finally {
+        if (!cancelled) setIsLoading(false);
       }
     };
     loadData();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [dictionaries, dictionaryId]);
 
-  // Build indexed lookup maps for fast searching
-  const wordIndices = useMemo(() => {
-    if (!currentDictionary) return { endsMap: new Map(), startsMap: new Map() };
+  // Definitions are optional, so they load alongside the dictionary without blocking it
+  useEffect(() => {
+    const entry = dictionaries.find(d => d.id === dictionaryId);
+    if (!entry) return;
+
+    let cancelled = false;
+    setLexicon(null);
+    setDefinedWord(null);
+    loadLexicon(entry)
+      .then(result => {
+        if (!cancelled) setLexicon(result);
+      })
+      .catch(() => {
+        // Words just show without definitions
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [dictionaries, dictionaryId]);
 
-    const endsMap = new Map();
-    const startsMap = new Map();
+  const defineWord = useCallback((word) => (lexicon && lexicon.get(word.toLowerCase())) || null, [lexicon]);
 
-    // Build indices by pre-computing all possible endings and starts for each word
-    currentDictionary.forEach(word => {
-      const lowerWord = word.toLowerCase();
+  const currentDictionary = dictionaryData ? dictionaryData.words : null;
+  const wordIndices = dictionaryData ? dictionaryData.wordIndices : null;
+  const patternsData = useMemo(() => dictionaryData ? dictionaryData.patternsData : [], [dictionaryData]);
+  const patternLengths = dictionaryData ? dictionaryData.patternLengths : DEFAULT_PATTERN_LENGTHS;
 
-      // Index all possible endings (2-8 letters)
-      for (let len = 2; len <= Math.min(8, lowerWord.length); len++) {
-        const ending = lowerWord.slice(-len);
-        if (!endsMap.has(ending)) {
-          endsMap.set(ending, []);
-        }
-        endsMap.get(ending).push(word);
-      }
+  useEffect(() => {
+    saveSchedules(srsSchedules);
+  }, [srsSchedules]);
 
-      // Index all possible starts (2-8 letters)
-      for (let len = 2; len <= Math.min(8, lowerWord.length); len++) {
-        const start = lowerWord.slice(0, len);
-        if (!startsMap.has(start)) {
-          startsMap.set(start, []);
-        }
-        startsMap.get(start).push(word);
-      }
-    });
+  useEffect(() => {
+    saveHistory(studyHistory);
+  }, [studyHistory]);
 
-    return { endsMap, startsMap };
-  }, [currentDictionary]);
-
-  // Analyze patterns from prefix_count.json and group by pattern text
-  const patternsData = useMemo(() => {
-    if (!currentDictionary || !prefixCounts || !wordIndices) return [];
-
-    const patternGroups = new Map();
-    const { endsMap, startsMap } = wordIndices;
-
-    // For each pattern in prefix_count.json, group starts and ends together
-    Object.entries(prefixCounts).forEach(([pattern, data]) => {
-      const lowerPattern = pattern.toLowerCase();
-
-      // Get words that END and START with this pattern
-      const wordsEndingWith = endsMap.get(lowerPattern) || [];
-      const wordsStartingWith = startsMap.get(lowerPattern) || [];
-
-      // Create grouped pattern if either has 2+ words
-      if (wordsEndingWith.length >= 2 || wordsStartingWith.length >= 2) {
-        patternGroups.set(lowerPattern, {
-          pattern: lowerPattern,
-          length: data.length,
-          endsWords: wordsEndingWith,
-          endsCount: wordsEndingWith.length,
-          startsWords: wordsStartingWith,
-          startsCount: wordsStartingWith.length,
-          totalCount: wordsEndingWith.length + wordsStartingWith.length
-        });
-      }
+  useEffect(() => {
+    saveRuleset(ruleset);
+  }, [ruleset]);
+
+  useEffect(() => {
+    saveLeaderboard(leaderboard);
+  }, [leaderboard]);
+
+  useEffect(() => {
+    saveRaritySettings(raritySettingsByDictionary);
+  }, [raritySettingsByDictionary]);
+
+  useEffect(() => {
+    saveDecks(studyDecks);
+  }, [studyDecks]);
+
+  useEffect(() => {
+    savePlayerName(playerName);
+  }, [playerName]);
+
+  useEffect(() => {
+    savePartySettings(partySettings);
+  }, [partySettings]);
+
+  useEffect(() => {
+    saveSpeechSettings(speechSettings);
+  }, [speechSettings]);
+
+  useEffect(() => {
+    saveAcceptForms(acceptForms);
+  }, [acceptForms]);
+
+  useEffect(() => watchVoices(setVoices), []);
+
+  // Word-game scoring and validity checks for the current dictionary
+  const wordScores = useMemo(
+    () => currentDictionary ? scoreWords(currentDictionary, ruleset) : null,
+    [currentDictionary, ruleset]
+  );
+  const isValidWord = useMemo(
+    () => currentDictionary ? createWordChecker(currentDictionary) : () => false,
+    [currentDictionary]
+  );
+
+  // Rarity tiers and learnable-pattern limits for this dictionary
+  const raritySettings = useMemo(
+    () => raritySettingsFor(raritySettingsByDictionary, dictionaryId),
+    [raritySettingsByDictionary, dictionaryId]
+  );
+  const rarityTiers = useMemo(() => sortTiers(raritySettings.tiers), [raritySettings]);
+
+  // Length and rarity filters (from a URL, or kept from another dictionary) this dictionary doesn't have
+  useEffect(() => {
+    if (!dictionaryData || lengthFilter === 'all') return;
+    const length = Number(lengthFilter);
+    if (length < patternLengths.min || length > patternLengths.max) setLengthFilter('all');
+  }, [dictionaryData, lengthFilter, patternLengths]);
+
+  useEffect(() => {
+    if (rarityFilter !== 'all' && !rarityTiers.some(tier => tier.id === rarityFilter)) setRarityFilter('all');
+  }, [rarityFilter, rarityTiers]);
+
+  const changeRaritySettings = useCallback((settings) => {
+    setRaritySettingsByDictionary(prev => ({ ...prev, [dictionaryId]: settings }));
+  }, [dictionaryId]);
+
+  const resetRaritySettings = useCallback(() => {
+    setRaritySettingsByDictionary(prev => {
+      const { [dictionaryId]: removed, ...rest } = prev;
+      return rest;
     });
+  }, [dictionaryId]);
 
-    // Convert to array and sort by total count (rarest first)
-    return Array.from(patternGroups.values()).sort((a, b) => a.totalCount - b.totalCount);
-  }, [currentDictionary, prefixCounts, wordIndices]);
-
-  // Get rarity class
-  const getRarityClass = useCallback((count) => {
-    if (count <= 5) return 'ultra-rare';
-    if (count <= 10) return 'rare';
-    if (count <= 50) return 'uncommon';
-    if (count <= 200) return 'common';
-    return 'very-common';
-  }, []);
+  // Get rarity class (the id of the tier a word count falls into)
+  const getRarityClass = useCallback(
+    (count) => rarityTiers[tierIndex(count, rarityTiers)].id,
+    [rarityTiers]
+  );
+
+  // Rarest tiers first: 0 for the rarest
+  const getRarityRank = useCallback((count) => tierIndex(count, rarityTiers), [rarityTiers]);
 
   // Filter patterns
   const filteredPatterns = useMemo(() => {
     let filtered = [...patternsData];
 
     // Search filter - match patterns that end or start with query
-    if (searchQuery.trim()) {
+    if (searchQuery.trim() && !isWordQuery(searchQuery)) {
       const query = searchQuery.toLowerCase();
       filtered = filtered.filter(p =>
         p.pattern.endsWith(query) || p.pattern.startsWith(query)
@@ -157,31 +430,66 @@ function App() {
       filtered = filtered.filter(p => p.length === parseInt(lengthFilter));
     }
 
-    // Rarity filter (based on total count)
+    // Rarity filter (based on the count chosen in the rarity settings)
     if (rarityFilter !== 'all') {
-      filtered = filtered.filter(p => getRarityClass(p.totalCount) === rarityFilter);
+      const { countBy } = raritySettings;
+      filtered = filtered.filter(p => rarityCount(p, countBy) > 0 && getRarityClass(rarityCount(p, countBy)) === rarityFilter);
     }
 
     return filtered;
-  }, [patternsData, searchQuery, lengthFilter, rarityFilter, getRarityClass]);
+  }, [patternsData, searchQuery, lengthFilter, rarityFilter, getRarityClass, raritySettings]);
+
+  // Wildcard/anchor queries search the dictionary itself, grouped like pattern cards
+  const deferredQuery = useDeferredValue(searchQuery);
+  const wordSearch = useMemo(() => {
+    if (!currentDictionary || !isWordQuery(deferredQuery)) return null;
+    try {
+      return { groups: searchWords(currentDictionary, deferredQuery), error: null };
+    } catch (err) {
+      return { groups: [], error: err.message };
+    }
+  }, [currentDictionary, deferredQuery]);
+
+  const filteredWordGroups = useMemo(() => {
+    if (!wordSearch) return [];
+    if (rarityFilter === 'all') return wordSearch.groups;
+    return wordSearch.groups.filter(g => getRarityClass(g.count) === rarityFilter);
+  }, [wordSearch, rarityFilter, getRarityClass]);
+
+  // Highest word score per filtered pattern, only computed when sorting by score
+  const topScores = useMemo(() => {
+    if (sortOrder !== 'score' || !wordScores) return null;
+    return new Map(filteredPatterns.map(p => [p.pattern, patternMax(dictionaryData, p, wordScores)]));
+  }, [sortOrder, filteredPatterns, dictionaryData, wordScores]);
+
+  const sortedPatterns = useMemo(
+    () => sortPatterns(filteredPatterns, sortOrder, topScores),
+    [filteredPatterns, sortOrder, topScores]
+  );
 
-  // Paginated patterns
-  const paginatedPatterns = useMemo(() => {
-    const startIdx = (currentPage - 1) * itemsPerPage;
-    const endIdx = startIdx + itemsPerPage;
-    return filteredPatterns.slice(startIdx, endIdx);
-  }, [filteredPatterns, currentPage]);
+  const listItems = wordSearch ? filteredWordGroups : sortedPatterns;
 
-  const totalPages = Math.ceil(filteredPatterns.length / itemsPerPage);
+  // Rows of the scrolling list: match groups, or patterns under optional letter headings
+  const listRows = useMemo(() => {
+    if (wordSearch) return filteredWordGroups.map((group, index) => ({ kind: 'query', key: `q:${group.key}`, group, index }));
+    return groupPatterns(sortedPatterns, groupBy).flatMap(({ letter, patterns }) => [
+      ...(letter ? [{ kind: 'letter', key: `l:${letter}`, letter, count: patterns.length }] : []),
+      ...patterns.map(pattern => ({ kind: 'pattern', key: `p:${pattern.pattern}`, pattern }))
+    ]);
+  }, [wordSearch, filteredWordGroups, sortedPatterns, groupBy]);
 
-  // Rare patterns for learning - split grouped patterns into separate entries
-  const rarePatterns = useMemo(() => {
-    let patterns = [];
+  const sortByScore = useCallback((words) =>
+    [...words].sort((a, b) => scoreWord(b, ruleset) - scoreWord(a, ruleset)),
+  [ruleset]);
+
+  // Learnable patterns - split grouped patterns into separate entries
+  const learnablePatterns = useMemo(() => {
+    const patterns = [];
 
     // Split grouped patterns into separate ends/starts entries for learning
     patternsData.forEach(p => {
       // Add ends pattern if it meets criteria
-      if (p.endsCount >= 2 && p.endsCount <= 15 && p.length >= 3) {
+      if (isLearnable(p.endsCount, p.length, raritySettings.learnable)) {
         patterns.push({
           pattern: p.pattern,
           type: 'ends',
@@ -192,7 +500,7 @@ function App() {
       }
 
       // Add starts pattern if it meets criteria
-      if (p.startsCount >= 2 && p.startsCount <= 15 && p.length >= 3) {
+      if (isLearnable(p.startsCount, p.length, raritySettings.learnable)) {
         patterns.push({
           pattern: p.pattern,
           type: 'starts',
@@ -203,6 +511,19 @@ function App() {
       }
     });
 
+    return patterns;
+  }, [patternsData, raritySettings]);
+
+  // Learnable patterns for a list of `${pattern}_${type}` keys
+  const studyPatternsFor = useCallback((keys) => {
+    const wanted = new Set(keys);
+    return learnablePatterns.filter(p => wanted.has(`${p.pattern}_${p.type}`));
+  }, [learnablePatterns]);
+
+  // Rare patterns for learning, narrowed by the Learn selection filters
+  const rarePatterns = useMemo(() => {
+    let patterns = learnablePatterns;
+
     // Filter by pattern type (prefixes/suffixes)
     if (patternTypeFilter !== 'all') {
       patterns = patterns.filter(p => p.type === patternTypeFilter);
@@ -225,23 +546,59 @@ function App() {
     }
 
     return patterns;
-  }, [patternsData, customPatternInput, patternTypeFilter]);
+  }, [learnablePatterns, customPatternInput, patternTypeFilter]);
 
-  // Current challenge pattern - use rarePatterns which has the split structure
+  // Scheduled patterns due for review today
+  const duePatterns = useMemo(() => {
+    const byKey = new Map(learnablePatterns.map(p => [`${p.pattern}_${p.type}`, p]));
+    return getDuePatternKeys(srsSchedule)
+      .filter(key => byKey.has(key))
+      .map(key => byKey.get(key));
+  }, [learnablePatterns, srsSchedule]);
+
+  // Current challenge pattern - words are ordered by the scheduler when the challenge begins
   const currentChallenge = useMemo(() => {
-    if (!isStudying || selectedPatterns.length === 0) return null;
-    const patternKey = selectedPatterns[currentChallengeIndex % selectedPatterns.length];
-    return rarePatterns.find(p => `${p.pattern}_${p.type}` === patternKey);
-  }, [isStudying, selectedPatterns, currentChallengeIndex, rarePatterns]);
+    if (!isStudying || !currentPatternKey) return null;
+    const pattern = learnablePatterns.find(p => `${p.pattern}_${p.type}` === currentPatternKey);
+    return pattern ? { ...pattern, words: challengeWords } : null;
+  }, [isStudying, currentPatternKey, challengeWords, learnablePatterns]);
+
+  // Most recently found word in Find Words, whose definition is shown under the list
+  const lastFoundWord = foundWords.size > 0 ? Array.from(foundWords).pop() : null;
+
+  // The hint level the hint button gives next: deeper into the current word while it's still missing
+  const nextHintLevel = hint && !foundWords.has(hint.word) && !revealedWords.has(hint.word)
+    ? Math.min(hint.level + 1, HINT_LEVELS.length - 1)
+    : 0;
+
+  // Questions for the quiz modes, built once per challenge
+  const quizQuestions = useMemo(() => {
+    if (!currentChallenge || !currentDictionary) return [];
+    if (learnMode === 'choice') return buildChoiceQuestions(currentChallenge, currentDictionary, isValidWord);
+    if (learnMode === 'realfake') return buildRealFakeQuestions(currentChallenge, currentDictionary, isValidWord);
+    return [];
+  }, [currentChallenge, learnMode, currentDictionary, isValidWord]);
 
   // Handlers
+  // Tell screen reader users about a result; the id makes a repeated message be read again
+  const announce = useCallback((text) => {
+    setAnnouncement(prev => ({ id: prev.id + 1, text }));
+  }, []);
+
   const toggleExpand = useCallback((pattern) => {
     setExpandedPattern(prev => prev === pattern ? null : pattern);
   }, []);
 
-  const handlePageChange = useCallback((direction) => {
-    setCurrentPage(prev => prev + direction);
-    window.scrollTo(0, 0);
+  // Add a pattern to the compare selection, or take it out again
+  const toggleCompare = useCallback((pattern) => {
+    setCompareSelection(prev => prev.includes(pattern)
+      ? prev.filter(p => p !== pattern)
+      : [...prev, pattern].slice(-MAX_COMPARED));
+  }, []);
+
+  const removeCompared = useCallback((pattern) => {
+    setComparePatterns(prev => prev.filter(p => p !== pattern));
+    setCompareSelection(prev => prev.filter(p => p !== pattern));
   }, []);
 
   const togglePatternSelection = useCallback((patternKey) => {
@@ -257,85 +614,296 @@ function App() {
     setSelectedPatterns(allRareKeys);
   }, [rarePatterns]);
 
-  const startStudy = useCallback((mode = 'find') => {
-    if (selectedPatterns.length === 0) {
+  // Study decks saved for the current dictionary
+  const dictionaryDecks = useMemo(
+    () => studyDecks.filter(deck => deck.dictionary === dictionaryId),
+    [studyDecks, dictionaryId]
+  );
+
+  // Rarity tier of a pattern, counted the way Explore counts it (null if it has no words on that side)
+  const patternTier = useMemo(() => {
+    const byPattern = new Map(patternsData.map(p => [p.pattern, p]));
+    return (pattern) => {
+      const entry = byPattern.get(pattern);
+      const count = entry ? rarityCount(entry, raritySettings.countBy) : 0;
+      return count > 0 ? getRarityClass(count) : null;
+    };
+  }, [patternsData, raritySettings, getRarityClass]);
+
+  const resolveStudyDeck = useCallback(
+    (deck) => resolveDeck(deck, { learnablePatterns, patternTier, schedule: srsSchedule }),
+    [learnablePatterns, patternTier, srsSchedule]
+  );
+
+  const addStudyDeck = useCallback((deck) => {
+    setStudyDecks(prev => [...prev, deck]);
+  }, []);
+
+  const updateStudyDeck = useCallback((id, changes) => {
+    setStudyDecks(prev => prev.map(deck =>
+      deck.id === id ? { ...deck, ...changes, updatedAt: new Date().toISOString() } : deck
+    ));
+  }, []);
+
+  const deleteStudyDeck = useCallback((id) => {
+    setStudyDecks(prev => prev.filter(deck => deck.id !== id));
+  }, []);
+
+  const recordReview = useCallback((key, quality) => {
+    setSrsSchedules(prev => {
+      const schedule = scheduleFor(prev, dictionaryId);
+      return { ...prev, [dictionaryId]: { ...schedule, [key]: reviewCard(schedule[key], quality) } };
+    });
+  }, [dictionaryId]);
+
+  // Load a pattern as the current challenge with its words in review order
+  const beginChallenge = useCallback((patternKey) => {
+    const pattern = learnablePatterns.find(p => `${p.pattern}_${p.type}` === patternKey);
+    setCurrentPatternKey(patternKey);
+    setChallengeWords(pattern ? orderWords(pattern.words, srsSchedule) : []);
+    setPatternGraded(false);
+    setSessionPatterns(prev => prev.includes(patternKey) ? prev : [...prev, patternKey]);
+  }, [learnablePatterns, srsSchedule]);
+
+  // Draw a pattern per round and seat the players; a new id restarts the game
+  const startParty = useCallback((patternKeys) => {
+    const byKey = new Map(learnablePatterns.map(p => [`${p.pattern}_${p.type}`, p]));
+    const rounds = drawRounds(patternKeys.filter(key => byKey.has(key)), partySettings.rounds);
+    if (rounds.length === 0) return;
+    setSelectedPatterns(patternKeys);
+    setPartyGame({
+      id: Date.now(),
+      players: playerNames(partySettings.players),
+      challenges: rounds.map(key => byKey.get(key))
+    });
+  }, [learnablePatterns, partySettings]);
+
+  // A finished Pass & Play game is one study session. The group's claims grade
+  // each round's pattern and words, so shared practice feeds the review queue.
+  const recordPartyGame = useCallback(({ rounds, attempts, points: gamePoints }) => {
+    if (!partyGame || attempts === 0) return;
+    rounds.forEach(({ challenge, claimed, unclaimed }) => {
+      recordReview(`${challenge.pattern}_${challenge.type}`, gradeFromRatio(claimed.length, claimed.length + unclaimed.length));
+      claimed.forEach(word => recordReview(wordKey(word), 4));
+      unclaimed.forEach(word => recordReview(wordKey(word), 1));
+    });
+    const found = rounds.flatMap(result => result.claimed);
+    setStudyHistory(prev => [...prev, buildSession({
+      startedAt: partyGame.id,
+      dictionary: dictionaryId,
+      mode: 'party',
+      patterns: rounds.map(({ challenge }) => `${challenge.pattern}_${challenge.type}`),
+      found,
+      missed: rounds.flatMap(result => result.unclaimed),
+      correct: found.length,
+      attempts,
+      points: gamePoints
+    })]);
+  }, [partyGame, dictionaryId, recordReview]);
+
+  const startStudy = useCallback((mode = 'find', patternKeys = selectedPatterns) => {
+    if (patternKeys.length === 0) {
       alert('Please select at least one pattern to study!');
       return;
     }
+    if (mode === 'party') {
+      startParty(patternKeys);
+      return;
+    }
+    const firstKey = pickNextPattern(patternKeys, srsSchedule);
+    setSelectedPatterns(patternKeys);
+    setSessionStartedAt(Date.now());
+    setSessionPatterns([]);
+    setSessionFound(new Set());
+    setSessionMissed(new Set());
+    setSessionHints({});
+    beginChallenge(firstKey);
+    // Per-pattern runs visit every selected pattern once; blitz runs cycle until the clock runs out
+    const timer = mode === 'find' ? TIMER_MODES[timerMode] : null;
+    setTimedRun(timer?.seconds ? {
+      mode: timerMode,
+      endsAt: Date.now() + timer.seconds * 1000,
+      queue: timer.perPattern ? patternKeys.filter(key => key !== firstKey) : [],
+      finished: false
+    } : null);
+    setClock(Date.now());
+    setStreak(0);
+    setBestStreak(0);
     setLearnMode(mode);
     setIsStudying(true);
-    setCurrentChallengeIndex(0);
     setCorrectAnswers(0);
+    setPoints(0);
     setTotalAttempts(0);
     setShowAnswer(false);
     setUserAnswer('');
     setFoundWords(new Set());
+    setRevealedWords(new Set());
+    setHint(null);
+    setAnswerFeedback(null);
+    setMissLog([]);
+    setAcceptedForms([]);
     setAttemptedWords(new Set());
     setCurrentWordIndex(0);
     setRepeatCount(0);
     setHideWord(false);
-  }, [selectedPatterns]);
+    setMissedWords(new Set());
+    setQuizPick(null);
+  }, [selectedPatterns, srsSchedule, beginChallenge, timerMode, startParty]);
 
   const checkAnswer = useCallback(() => {
     if (!currentChallenge || !userAnswer.trim()) return;
 
-    const userInput = userAnswer.toLowerCase().trim();
-    const pattern = currentChallenge.pattern.toLowerCase();
-
-    // Construct the full word based on pattern type
-    let fullWord;
-    if (currentChallenge.type === 'ends') {
-      // User types the beginning, we add the ending
-      fullWord = userInput + pattern;
-    } else {
-      // User types the ending, we add the beginning
-      fullWord = pattern + userInput;
-    }
+    const words = currentChallenge.words.map(word => word.toLowerCase());
+    const fullWord = answerWord(userAnswer, currentChallenge);
 
     // Check if already attempted this combination
-    if (attemptedWords.has(fullWord)) {
+    if (attemptedWords.has(fullWord) || foundWords.has(fullWord) || revealedWords.has(fullWord)) {
+      setAnswerFeedback({
+        kind: 'repeat',
+        message: foundWords.has(fullWord) ? `You already found "${fullWord}".` : `You already tried "${fullWord}".`
+      });
       setUserAnswer('');
       return;
     }
 
     setAttemptedWords(prev => new Set([...prev, fullWord]));
 
-    // Check if the constructed word matches any valid word
-    const matchedWord = currentChallenge.words.find(
-      dictWord => dictWord.toLowerCase() === fullWord
+    // Check if the constructed word matches any word still to find, or why not
+    const { miss, creditedWord, feedback } = judgeAnswer(
+      userAnswer, currentChallenge, new Set([...foundWords, ...revealedWords]), isValidWord, acceptForms
     );
 
-    if (matchedWord && !foundWords.has(fullWord)) {
-      setFoundWords(prev => new Set([...prev, fullWord]));
+    if (creditedWord) {
+      const baseScore = scoreWord(creditedWord, ruleset);
+      const hintLevel = hint && hint.word === creditedWord ? hint.level : -1;
+      const share = miss ? FORM_POINTS_SHARE : 1;
+      setFoundWords(prev => new Set([...prev, creditedWord]));
       setCorrectAnswers(prev => prev + 1);
+      // Timed runs add a rarity bonus and a multiplier for words found in a row;
+      // a hint about the word or answering with another form of it takes away part of its points
+      setPoints(prev => prev + Math.round(share * hintedPoints(timedRun
+        ? timedWordPoints(baseScore, getRarityRank(currentChallenge.count), streak)
+        : baseScore, hintLevel)));
+      setStreak(streak + 1);
+      setBestStreak(prev => Math.max(prev, streak + 1));
+      recordReview(wordKey(creditedWord), Math.min(hintedQuality(hintLevel), miss ? 3 : 5));
+      setSessionFound(prev => new Set([...prev, creditedWord]));
+      if (hintLevel >= 0) setHint(null);
+      if (miss) setAcceptedForms(prev => [...prev, { word: miss.word, base: creditedWord }]);
+    } else {
+      setStreak(0);
+      setMissLog(prev => [...prev, { word: miss.word, kind: miss.kind }]);
     }
 
+    setAnswerFeedback(feedback);
+    announce(creditedWord
+      ? `${feedback.message} ${foundWords.size + 1} of ${words.length} words found.`
+      : feedback.message);
+
     setTotalAttempts(prev => prev + 1);
-    setUserAnswer('');
-  }, [currentChallenge, userAnswer, foundWords, attemptedWords]);
+    // Leave a near miss in the box so the typo can be fixed
+    setUserAnswer(miss && miss.kind === 'typo' ? userAnswer : '');
+  }, [currentChallenge, userAnswer, foundWords, revealedWords, hint, attemptedWords, recordReview, ruleset, timedRun, streak,
+    getRarityRank, isValidWord, acceptForms, announce]);
+
+  // Next graded hint: more detail about the same missing word, or a new random one
+  const takeHint = useCallback(() => {
+    if (!currentChallenge) return;
+    const missing = currentChallenge.words
+      .map(word => word.toLowerCase())
+      .filter(word => !foundWords.has(word) && !revealedWords.has(word));
+    if (missing.length === 0) return;
+
+    const target = hint && missing.includes(hint.word)
+      ? hint
+      : { word: missing[Math.floor(Math.random() * missing.length)], level: -1 };
+    const level = Math.min(target.level + 1, HINT_LEVELS.length - 1);
+    setHint({ word: target.word, level });
+    setSessionHints(prev => ({ ...prev, [target.word]: HINT_LEVELS[level].id }));
+    announce(`Hint: ${describeHint(target.word, currentChallenge.pattern, currentChallenge.type, level)}`);
+
+    if (HINT_LEVELS[level].id === 'reveal') {
+      setRevealedWords(prev => new Set([...prev, target.word]));
+      recordReview(wordKey(target.word), HINT_LEVELS[level].quality);
+      setSessionMissed(prev => new Set([...prev, target.word]));
+      setStreak(0);
+    }
+  }, [currentChallenge, foundWords, revealedWords, hint, recordReview, announce]);
+
+  // Review a Find Words pattern once, from the share of its words found, when
+  // the challenge is left: every word found, words shown, or Next
+  const gradePattern = useCallback(() => {
+    if (learnMode !== 'find' || !currentChallenge || patternGraded) return;
+    setPatternGraded(true);
+    recordReview(currentPatternKey, gradeFromRatio(foundWords.size, currentChallenge.words.length));
+  }, [learnMode, currentChallenge, patternGraded, currentPatternKey, foundWords, recordReview]);
+
+  useEffect(() => {
+    if (currentChallenge && foundWords.size + revealedWords.size >= currentChallenge.words.length) gradePattern();
+  }, [currentChallenge, foundWords, revealedWords, gradePattern]);
 
   const showAllWords = useCallback(() => {
     setShowAnswer(true);
+    setStreak(0);
     if (foundWords.size === 0) {
       setTotalAttempts(prev => prev + 1);
     }
-  }, [foundWords]);
+    // A per-pattern clock stops once the words are shown
+    setTimedRun(prev => prev && TIMER_MODES[prev.mode].perPattern ? { ...prev, endsAt: null } : prev);
+
+    // Words the user couldn't recall count as lapses (revealed ones already have)
+    if (currentChallenge) {
+      const missed = currentChallenge.words.filter(word => !foundWords.has(word.toLowerCase()));
+      missed
+        .filter(word => !revealedWords.has(word.toLowerCase()))
+        .forEach(word => recordReview(wordKey(word), 1));
+      setSessionMissed(prev => new Set([...prev, ...missed.map(word => word.toLowerCase())]));
+      gradePattern();
+      announce(`Words shown. You found ${foundWords.size} of ${currentChallenge.words.length}.`);
+    }
+  }, [foundWords, revealedWords, currentChallenge, recordReview, gradePattern, announce]);
 
   // Repeat after me mode handlers
+  // Record the current word's result and move on, grading the pattern after its last word
+  const advanceRepeatWord = useCallback((quality) => {
+    if (!currentChallenge) return;
+
+    const word = currentChallenge.words[currentWordIndex].toLowerCase();
+    const missed = quality < 3 ? new Set([...missedWords, word]) : missedWords;
+    recordReview(wordKey(word), quality);
+    if (quality < 3) {
+      setSessionMissed(prev => new Set([...prev, word]));
+    } else {
+      setSessionFound(prev => new Set([...prev, word]));
+    }
+
+    if (currentWordIndex + 1 >= currentChallenge.words.length) {
+      const total = currentChallenge.words.length;
+      recordReview(currentPatternKey, gradeFromRatio(total - missed.size, total));
+    }
+
+    setMissedWords(missed);
+    setCurrentWordIndex(prev => prev + 1);
+    setRepeatCount(0);
+    setHideWord(false);
+  }, [currentChallenge, currentWordIndex, missedWords, currentPatternKey, recordReview]);
+
   const checkRepeatWord = useCallback(() => {
     if (!currentChallenge || !userAnswer.trim()) return;
 
     const currentWord = currentChallenge.words[currentWordIndex];
     const userWord = userAnswer.trim().toLowerCase();
     const correctWord = currentWord.toLowerCase();
+    // Dictation words are never shown, so every attempt is from memory
+    const fromMemory = hideWord || learnMode === 'dictation';
 
     if (userWord === correctWord) {
-      if (hideWord) {
+      setAnswerFeedback(null);
+      if (fromMemory) {
         // User typed it correctly while hidden - move to next word
-        setCurrentWordIndex(prev => prev + 1);
-        setRepeatCount(0);
-        setHideWord(false);
+        advanceRepeatWord(missedWords.has(correctWord) ? 3 : 5);
         setCorrectAnswers(prev => prev + 1);
+        announce('Correct! Next word.');
       } else {
         // User typed it correctly while visible - increment count
         const newRepeatCount = repeatCount + 1;
@@ -345,58 +913,493 @@ function App() {
           // After 3 correct repetitions, hide the word
           setHideWord(true);
           setRepeatCount(0);
+          announce('Correct! Now type it from memory.');
+        } else {
+          announce(`Correct! ${3 - newRepeatCount} more to go.`);
         }
       }
+    } else {
+      if (fromMemory) {
+        // Mistyped from memory - the word is still due soon
+        setMissedWords(prev => new Set([...prev, correctWord]));
+      }
+      const miss = diagnoseMiss([userWord], [correctWord], isValidWord);
+      const message = describeMiss(miss);
+      setAnswerFeedback({ kind: miss.kind, message });
+      setMissLog(prev => [...prev, { word: userWord, kind: miss.kind }]);
+      announce(message);
     }
 
     setTotalAttempts(prev => prev + 1);
     setUserAnswer('');
-  }, [currentChallenge, userAnswer, currentWordIndex, repeatCount, hideWord]);
+  }, [currentChallenge, userAnswer, currentWordIndex, repeatCount, hideWord, missedWords, advanceRepeatWord, learnMode, isValidWord, announce]);
+
+  // The word being practiced in Repeat After Me or Dictation, if any
+  const repeatWord = (learnMode === 'repeat' || learnMode === 'dictation') && currentChallenge
+    ? currentChallenge.words[currentWordIndex] || null
+    : null;
+
+  const speakWord = useCallback((word) => {
+    const entry = dictionaries.find(d => d.id === dictionaryId);
+    speak(word, speechSettings, entry?.lang);
+  }, [dictionaries, dictionaryId, speechSettings]);
+
+  // Say each new word; Dictation always does, since the word is never shown
+  useEffect(() => {
+    if (repeatWord && (learnMode === 'dictation' || speechSettings.autoPlay)) speakWord(repeatWord);
+  }, [repeatWord, learnMode, speechSettings.autoPlay, speakWord]);
 
   const skipRepeatWord = useCallback(() => {
-    setCurrentWordIndex(prev => prev + 1);
-    setRepeatCount(0);
-    setHideWord(false);
+    advanceRepeatWord(1);
     setUserAnswer('');
+  }, [advanceRepeatWord]);
+
+  // Quiz mode handlers
+  // Recognising a word is easier than recalling it, so a right answer grades 4 rather than 5
+  const answerQuiz = useCallback((pick) => {
+    const question = quizQuestions[currentWordIndex];
+    if (!question || quizPick !== null) return;
+
+    const correct = isCorrectPick(question, pick);
+    setQuizPick(pick);
+    setTotalAttempts(prev => prev + 1);
+    if (correct) setCorrectAnswers(prev => prev + 1);
+    announce(correct ? 'Correct!' : 'Not quite.');
+
+    let missed = missedWords;
+    if (question.isReal) {
+      recordReview(wordKey(question.word), correct ? 4 : 1);
+      if (correct) {
+        setSessionFound(prev => new Set([...prev, question.word]));
+      } else {
+        missed = new Set([...missedWords, question.word]);
+        setMissedWords(missed);
+        setSessionMissed(prev => new Set([...prev, question.word]));
+      }
+    }
+
+    // Grade the pattern on its last question
+    if (currentWordIndex === quizQuestions.length - 1) {
+      const total = currentChallenge.words.length;
+      recordReview(currentPatternKey, gradeFromRatio(total - missed.size, total));
+    }
+  }, [quizQuestions, currentWordIndex, quizPick, missedWords, recordReview, currentChallenge, currentPatternKey, announce]);
+
+  const nextQuizQuestion = useCallback(() => {
+    setQuizPick(null);
+    setCurrentWordIndex(prev => prev + 1);
   }, []);
 
+  // Record a finished timed run on the leaderboard
+  const finishTimedRun = useCallback(() => {
+    if (!timedRun || timedRun.finished) return;
+    const run = {
+      id: `${Date.now()}`,
+      player: playerName.trim() || 'Player',
+      score: points,
+      words: correctAnswers,
+      bestStreak,
+      accuracy: totalAttempts > 0 ? Math.round((correctAnswers / totalAttempts) * 100) : 0,
+      date: new Date().toISOString()
+    };
+    const key = leaderboardKey(timedRun.mode, dictionaryId, selectedPatterns);
+    const { leaderboard: nextLeaderboard, rank } = addRun(leaderboard, key, run);
+    setLeaderboard(nextLeaderboard);
+    setTimedRun({ ...timedRun, endsAt: null, finished: true, key, rank, runId: run.id });
+    announce(`Time's up! You scored ${points} points with ${correctAnswers} words.`);
+  }, [timedRun, playerName, points, correctAnswers, bestStreak, totalAttempts, dictionaryId, selectedPatterns, leaderboard, announce]);
+
   const nextChallenge = useCallback(() => {
-    setCurrentChallengeIndex(prev => prev + 1);
+    gradePattern();
+    if (timedRun && TIMER_MODES[timedRun.mode].perPattern) {
+      if (timedRun.queue.length === 0) {
+        finishTimedRun();
+        return;
+      }
+      beginChallenge(timedRun.queue[0]);
+      setTimedRun({
+        ...timedRun,
+        queue: timedRun.queue.slice(1),
+        endsAt: Date.now() + TIMER_MODES[timedRun.mode].seconds * 1000
+      });
+      setClock(Date.now());
+    } else {
+      beginChallenge(pickNextPattern(selectedPatterns, srsSchedule, Date.now(), currentPatternKey));
+    }
     setUserAnswer('');
     setShowAnswer(false);
     setFoundWords(new Set());
+    setRevealedWords(new Set());
+    setHint(null);
+    setAnswerFeedback(null);
+    setMissLog([]);
+    setAcceptedForms([]);
     setAttemptedWords(new Set());
     setCurrentWordIndex(0);
     setRepeatCount(0);
     setHideWord(false);
+    setMissedWords(new Set());
+    setQuizPick(null);
+  }, [selectedPatterns, srsSchedule, currentPatternKey, beginChallenge, timedRun, finishTimedRun, gradePattern]);
+
+  // Tick the clock while a timed run is counting down
+  useEffect(() => {
+    if (!timedRun?.endsAt) return;
+    const timer = setInterval(() => setClock(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [timedRun]);
+
+  const timeLeft = timedRun?.endsAt
+    ? Math.min(TIMER_MODES[timedRun.mode].seconds, Math.max(0, Math.ceil((timedRun.endsAt - clock) / 1000)))
+    : 0;
+
+  // Out of time: a per-pattern run reveals the words, a blitz ends
+  useEffect(() => {
+    if (!timedRun?.endsAt || timeLeft > 0) return;
+    if (TIMER_MODES[timedRun.mode].perPattern) {
+      showAllWords();
+    } else {
+      finishTimedRun();
+    }
+  }, [timedRun, timeLeft, showAllWords, finishTimedRun]);
+
+  // Every word found: move straight on in a blitz, stop the clock per pattern
+  useEffect(() => {
+    if (!timedRun || timedRun.finished || showAnswer || !currentChallenge) return;
+    if (foundWords.size + revealedWords.size < currentChallenge.words.length) return;
+    showAllWords();
+    if (!TIMER_MODES[timedRun.mode].perPattern) nextChallenge();
+  }, [timedRun, showAnswer, currentChallenge, foundWords, revealedWords, showAllWords, nextChallenge]);
+
+  // Snapshot of the running session, or null if nothing was attempted
+  const currentSession = useMemo(() => {
+    if (!isStudying || !sessionStartedAt || totalAttempts === 0) return null;
+    return buildSession({
+      startedAt: sessionStartedAt,
+      dictionary: dictionaryId,
+      mode: learnMode,
+      patterns: sessionPatterns,
+      found: Array.from(sessionFound),
+      missed: Array.from(sessionMissed),
+      correct: correctAnswers,
+      attempts: totalAttempts,
+      points,
+      hints: Object.entries(sessionHints).map(([word, hintId]) => ({ word, hint: hintId }))
+    });
+  }, [isStudying, sessionStartedAt, dictionaryId, learnMode, sessionPatterns, sessionFound, sessionMissed, sessionHints, correctAnswers, totalAttempts, points]);
+
+  // Save an unfinished session if the page is closed mid-practice
+  useEffect(() => {
+    if (!currentSession) return;
+    const handleUnload = () => {
+      saveHistory([...studyHistory, { ...currentSession, durationMs: Date.now() - sessionStartedAt }]);
+    };
+    window.addEventListener('beforeunload', handleUnload);
+    return () => window.removeEventListener('beforeunload', handleUnload);
+  }, [currentSession, studyHistory, sessionStartedAt]);
+
+  const clearHistory = useCallback(() => {
+    if (window.confirm('Delete all saved study sessions?')) {
+      setStudyHistory([]);
+    }
   }, []);
 
   const resetStudy = useCallback(() => {
+    if (currentSession) {
+      setStudyHistory(prev => [...prev, { ...currentSession, durationMs: Date.now() - sessionStartedAt }]);
+    }
+    setSessionStartedAt(null);
     setIsStudying(false);
     setSelectedPatterns([]);
-    setCurrentChallengeIndex(0);
+    setCurrentPatternKey(null);
+    setChallengeWords([]);
     setCorrectAnswers(0);
+    setPoints(0);
     setTotalAttempts(0);
     setShowAnswer(false);
     setUserAnswer('');
     setFoundWords(new Set());
+    setRevealedWords(new Set());
+    setHint(null);
+    setAnswerFeedback(null);
+    setMissLog([]);
+    setAcceptedForms([]);
     setAttemptedWords(new Set());
     setCurrentWordIndex(0);
     setRepeatCount(0);
     setHideWord(false);
+    setMissedWords(new Set());
+    setQuizPick(null);
+    setTimedRun(null);
+    setStreak(0);
+    setBestStreak(0);
+    stopSpeaking();
     setLearnMode('find');
-  }, []);
+  }, [currentSession, sessionStartedAt]);
+
+  // Leaving Learn for another mode ends the session and saves it to history
+  useEffect(() => {
+    if (mode !== 'learn' && isStudying) resetStudy();
+  }, [mode, isStudying, resetStudy]);
+
+  // Start the same timed run again, saving the one just played to history
+  const playAgain = useCallback(() => {
+    const keys = selectedPatterns;
+    resetStudy();
+    startStudy('find', keys);
+  }, [selectedPatterns, resetStudy, startStudy]);
+
+  // Announce each new pattern and move focus to its answer box or first button
+  const challengeAreaRef = useRef(null);
+  useEffect(() => {
+    if (!isStudying || !currentChallenge) return;
+    const where = currentChallenge.type === 'ends' ? 'ending with' : 'starting with';
+    announce(`New pattern: words ${where} ${currentChallenge.pattern.toUpperCase()}, ${currentChallenge.count} words.`);
+  }, [isStudying, currentChallenge, announce]);
 
-  // Reset page when filters change
   useEffect(() => {
-    setCurrentPage(1);
-  }, [searchQuery, lengthFilter, rarityFilter]);
+    if (!isStudying || !challengeAreaRef.current) return;
+    const target = challengeAreaRef.current.querySelector('.answer-input, .quiz-option:not(:disabled), .challenge-actions .btn');
+    if (target) target.focus();
+  }, [isStudying, currentPatternKey, currentWordIndex, showAnswer, quizPick, timedRun?.finished]);
+
+  // Game modes this browser can play; Dictation needs speech synthesis
+  const learnGameModes = useMemo(() => GAME_MODE_CARDS.filter(card => !card.needsSpeech || isSpeechSupported()), []);
+
+  // Keyboard shortcuts (listed in shortcuts.js)
+  useEffect(() => {
+    const gameModes = learnGameModes.map(card => card.id);
+
+    // Learn practice actions shared by the plain and Alt shortcuts
+    const practice = (action) => {
+      const quiz = QUIZ_MODES.includes(learnMode);
+      const repeat = learnMode === 'repeat' || learnMode === 'dictation';
+      const complete = quiz
+        ? currentWordIndex >= quizQuestions.length
+        : repeat && currentWordIndex >= (currentChallenge?.words.length || 0);
+      if (timedRun?.finished) return false;
+      switch (action) {
+        case 'skip':
+          if (repeat && !complete) skipRepeatWord();
+          else if (learnMode === 'find' && !showAnswer) showAllWords();
+          else return false;
+          return true;
+        case 'hint':
+          if (learnMode !== 'find' || showAnswer) return false;
+          takeHint();
+          return true;
+        case 'next':
+          if (quiz && !complete && quizPick !== null) nextQuizQuestion();
+          else if (complete || (learnMode === 'find' && showAnswer)) nextChallenge();
+          else return false;
+          return true;
+        case 'replay':
+          if (!repeatWord || !isSpeechSupported()) return false;
+          speakWord(repeatWord);
+          return true;
+        default:
+          return false;
+      }
+    };
+
+    const pickQuizAnswer = (key) => {
+      const question = quizQuestions[currentWordIndex];
+      if (!question || quizPick !== null) return false;
+      const pick = question.options
+        ? question.options[Number(key) - 1]
+        : { 1: 'real', r: 'real', 2: 'fake', f: 'fake' }[key];
+      if (!pick) return false;
+      answerQuiz(pick);
+      return true;
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey) return;
+      if (e.key === 'Escape') {
+        if (showShortcuts) setShowShortcuts(false);
+        else if (definedWord) setDefinedWord(null);
+        else if (mode === 'explore' && detailPattern) setDetailPattern(null);
+        else if (mode === 'explore' && comparePatterns.length > 0) setComparePatterns([]);
+        return;
+      }
+      if (showShortcuts) return;
+
+      // Alt shortcuts work while typing; e.code since Alt changes the character on some keyboards
+      if (e.altKey) {
+        const action = { KeyS: 'skip', KeyH: 'hint', KeyN: 'next', KeyR: 'replay' }[e.code];
+        if (mode === 'learn' && isStudying && action && practice(action)) e.preventDefault();
+        return;
+      }
+      if (isTypingTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      let handled = true;
+      if (e.key === '?') {
+        setShowShortcuts(true);
+      } else if (e.key === '/') {
+        const input = document.querySelector('.answer-input, .search-input');
+        if (input) input.focus();
+        else handled = false;
+      } else if (mode === 'explore' && !detailPattern && comparePatterns.length === 0) {
+        if (key === 'j') moveFocus('.pattern-header', 1);
+        else if (key === 'k') moveFocus('.pattern-header', -1);
+        else if (key === 'd' && expandedPattern && !wordSearch) setDetailPattern(expandedPattern);
+        else if (key === 'c' && expandedPattern && !wordSearch) toggleCompare(expandedPattern);
+        else handled = false;
+      } else if (mode === 'learn' && !isStudying && !partyGame) {
+        if (gameModes[Number(key) - 1]) setLearnMode(gameModes[Number(key) - 1]);
+        else if (key === 'a') selectAllRare();
+        else if (key === 's') startStudy(learnMode);
+        else handled = false;
+      } else if (mode === 'learn' && isStudying) {
+        const action = { s: 'skip', h: 'hint', n: 'next', r: 'replay' }[key];
+        handled = (QUIZ_MODES.includes(learnMode) && pickQuizAnswer(key)) || (Boolean(action) && practice(action));
+      } else {
+        handled = false;
+      }
+      if (handled) e.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showShortcuts, definedWord, mode, detailPattern, comparePatterns, toggleCompare, expandedPattern, wordSearch, isStudying,
+    partyGame, learnGameModes, learnMode, selectAllRare, startStudy, currentWordIndex, quizQuestions, quizPick, answerQuiz, nextQuizQuestion,
+    currentChallenge, timedRun, showAnswer, skipRepeatWord, showAllWords, takeHint, nextChallenge, repeatWord, speakWord]);
+
+  const switchDictionary = useCallback((id) => {
+    if (isStudying) resetStudy();
+    setPartyGame(null);
+    setSelectedPatterns([]);
+    setExpandedPattern(null);
+    setDetailPattern(null);
+    setComparePatterns([]);
+    setCompareSelection([]);
+    setDictionaryId(id);
+  }, [isStudying, resetStudy]);
+
+  const importWordList = useCallback(async (file) => {
+    try {
+      const words = parseWordList(await file.text(), file.name);
+      if (words.length < 2) {
+        alert(`No words found in ${file.name}.`);
+        return;
+      }
+      const entry = createImportedDictionary(file.name.replace(/\.[^.]+$/, ''), words);
+      const imported = [...importedDictionaries, entry];
+      saveImportedDictionaries(imported);
+      setImportedDictionaries(imported);
+      switchDictionary(entry.id);
+    } catch (err) {
+      alert(`Couldn't import ${file.name}: ${err.message}`);
+    }
+  }, [importedDictionaries, switchDictionary]);
+
+  const removeImportedDictionary = useCallback((id) => {
+    const entry = importedDictionaries.find(d => d.id === id);
+    if (!entry || !window.confirm(`Remove the imported word list "${entry.name}"?`)) return;
+
+    const imported = importedDictionaries.filter(d => d.id !== id);
+    saveImportedDictionaries(imported);
+    setImportedDictionaries(imported);
+    forgetDictionary(id);
+    switchDictionary(manifestDictionaries[0]?.id || imported[0]?.id || null);
+  }, [importedDictionaries, manifestDictionaries, switchDictionary]);
+
+  const isImportedDictionary = importedDictionaries.some(d => d.id === dictionaryId);
+
+  // Start a study session that was requested by the URL
+  useEffect(() => {
+    if (!pendingStudy || learnablePatterns.length === 0) return;
+    const available = new Set(learnablePatterns.map(p => `${p.pattern}_${p.type}`));
+    const keys = pendingStudy.select.filter(key => available.has(key));
+    setPendingStudy(null);
+    if (keys.length > 0) startStudy(pendingStudy.game, keys);
+  }, [pendingStudy, learnablePatterns, startStudy]);
+
+  // Everything that is reflected in the URL
+  const route = useMemo(() => ({
+    mode,
+    dict: dictionaryId === manifestDictionaries[0]?.id ? null : dictionaryId,
+    q: searchQuery,
+    len: lengthFilter,
+    rarity: rarityFilter,
+    sort: sortOrder,
+    group: groupBy,
+    open: expandedPattern,
+    detail: detailPattern,
+    compare: comparePatterns,
+    type: patternTypeFilter,
+    game: learnMode,
+    timer: timerMode,
+    filter: customPatternInput,
+    select: selectedPatterns,
+    study: isStudying,
+    rack: anagramRack,
+    puzzle: puzzleKind,
+    level: puzzleLevel
+  }), [mode, dictionaryId, manifestDictionaries, searchQuery, lengthFilter, rarityFilter, sortOrder, groupBy,
+    expandedPattern, detailPattern, comparePatterns, patternTypeFilter, learnMode, timerMode, customPatternInput, selectedPatterns, isStudying,
+    anagramRack, puzzleKind, puzzleLevel]);
+
+  // Push state changes to the URL; typing and ticking boxes only replace the current entry
+  useEffect(() => {
+    if (manifestDictionaries.length === 0 || pendingStudy) return;
+    const hash = buildRoute(route);
+    if (hash === window.location.hash) return;
+    if (onlyIncrementalChanges(parseRoute(window.location.hash), parseRoute(hash))) {
+      window.history.replaceState(null, '', hash);
+    } else {
+      window.history.pushState(null, '', hash);
+    }
+  }, [route, manifestDictionaries, pendingStudy]);
+
+  // Restore state when navigating back and forward
+  useEffect(() => {
+    const applyRoute = () => {
+      const next = parseRoute(window.location.hash);
+      const nextDictionary = next.dict || manifestDictionaries[0]?.id;
+      if (nextDictionary && nextDictionary !== dictionaryId) switchDictionary(nextDictionary);
+      if (isStudying && !next.study) resetStudy();
+      if (!isStudying && next.study) setPendingStudy({ game: next.game, select: next.select });
+
+      setMode(next.mode);
+      setSearchQuery(next.q);
+      setLengthFilter(next.len);
+      setRarityFilter(next.rarity);
+      setSortOrder(next.sort);
+      setGroupBy(next.group);
+      setExpandedPattern(next.open);
+      setDetailPattern(next.detail);
+      setComparePatterns(next.compare);
+      setCompareSelection(next.compare);
+      setPatternTypeFilter(next.type);
+      setLearnMode(next.game);
+      setTimerMode(TIMER_MODES[next.timer] ? next.timer : 'off');
+      setCustomPatternInput(next.filter);
+      setSelectedPatterns(next.select);
+      setAnagramRack(next.rack);
+      setPuzzleKind(PUZZLE_KINDS[next.puzzle] ? next.puzzle : 'affix');
+      setPuzzleLevel(PUZZLE_LEVELS[next.level] ? next.level : 'easy');
+    };
+    window.addEventListener('popstate', applyRoute);
+    return () => window.removeEventListener('popstate', applyRoute);
+  }, [manifestDictionaries, dictionaryId, isStudying, switchDictionary, resetStudy]);
 
   if (isLoading) {
     return (
       <div className="app">
         <div className="container">
-          <div className="loading">Loading dictionary...</div>
+          <div className="loading">
+            Loading dictionary...
+            {loadProgress && (
+              <div className="load-progress">
+                <div className="load-progress-bar">
+                  <div className="load-progress-fill" style={{ width: `${loadProgress.percent}%` }} />
+                </div>
+                <span className="load-progress-stage">{loadProgress.stage} ({loadProgress.percent}%)</span>
+              </div>
+            )}
+          </div>
         </div>
       </div>
     );
@@ -412,35 +1415,307 @@ function App() {
     );
   }
 
+  // Rows of the Explore list
+  const renderQueryGroup = ({ group, index: groupIndex }) => {
+    const isExpanded = expandedPattern === group.key;
+    return (
+      <div className="pattern-item">
+        <button
+          type="button"
+          className="pattern-header"
+          onClick={() => toggleExpand(group.key)}
+          aria-expanded={isExpanded}
+          aria-controls={`query-group-${groupIndex}`}
+        >
+          <span className="pattern-info">
+            <span className="pattern-text">
+              {group.key.toUpperCase()}
+            </span>
+            <span className={`rarity-badge ${getRarityClass(group.count)}`}>
+              {group.count} word{group.count !== 1 ? 's' : ''}
+            </span>
+          </span>
+          <span className="expand-icon" aria-hidden="true">{isExpanded ? '▼' : '▶'}</span>
+        </button>
+        {isExpanded && (
+          <div className="words-expanded" id={`query-group-${groupIndex}`}>
+            <div className="words-grid">
+              {group.words.slice(0, maxQueryWordsShown).map((word, i) => (
+                <WordChip
+                  key={`match-${word}-${i}`}
+                  word={word}
+                  hasDefinition={Boolean(defineWord(word))}
+                  onShowDefinition={setDefinedWord}
+                />
+              ))}
+              {group.count > maxQueryWordsShown && (
+                <div className="no-words-message">
+                  …and {group.count - maxQueryWordsShown} more. Narrow your search to see them.
+                </div>
+              )}
+            </div>
+            <ExportMenu
+              label="Export group"
+              fileName={`goofys-jargon-${dictionaryId}-${group.key.replace(/[^\p{L}\p{N}]+/gu, '_')}`}
+              dictionary={dictionaryId}
+              getRows={() => wordGroupRows([group], getRarityClass, Infinity)}
+            />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderPatternCard = (pattern) => {
+    const isExpanded = expandedPattern === pattern.pattern;
+    const tierCount = rarityCount(pattern, raritySettings.countBy);
+    return (
+      <div className="pattern-item">
+        <button
+          type="button"
+          className="pattern-header"
+          onClick={() => toggleExpand(pattern.pattern)}
+          aria-expanded={isExpanded}
+          aria-controls={`pattern-words-${pattern.pattern}`}
+        >
+          <span className="pattern-info">
+            <span className="pattern-text">
+              {pattern.pattern.toUpperCase()}
+            </span>
+            <span className={`rarity-badge ${getRarityClass(tierCount)}`}>
+              {tierCount} {RARITY_BADGE_LABELS[raritySettings.countBy]} word{tierCount !== 1 ? 's' : ''}
+            </span>
+            <span className="length-badge">
+              {pattern.length}L
+            </span>
+            {pattern.endsCount > 0 && (
+              <span className="type-badge ends-badge">
+                {pattern.endsCount} ending
+              </span>
+            )}
+            {pattern.startsCount > 0 && (
+              <span className="type-badge starts-badge">
+                {pattern.startsCount} starting
+              </span>
+            )}
+            {topScores && (
+              <span className="type-badge score-badge">
+                🏆 {topScores.get(pattern.pattern)} pts
+              </span>
+            )}
+          </span>
+          <span className="expand-icon" aria-hidden="true">{isExpanded ? '▼' : '▶'}</span>
+        </button>
+        {isExpanded && (
+          <div className="words-expanded" id={`pattern-words-${pattern.pattern}`}>
+            <div className="pattern-actions">
+              <button className="btn btn-info" onClick={() => setDetailPattern(pattern.pattern)}>
+                🔬 Pattern details
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => toggleCompare(pattern.pattern)}
+                aria-pressed={compareSelection.includes(pattern.pattern)}
+              >
+                ⚖️ {compareSelection.includes(pattern.pattern) ? 'Comparing' : 'Compare'}
+              </button>
+              <ExportMenu
+                label="Export pattern"
+                fileName={`goofys-jargon-${dictionaryId}-${pattern.pattern}`}
+                dictionary={dictionaryId}
+                getRows={() => explorePatternRows([pattern], dictionaryData, getRarityClass, Infinity)}
+              />
+            </div>
+            {pattern.endsCount > 0 && (
+              <div className="word-section">
+                <h4 className="section-title">Words ending with -{pattern.pattern.toUpperCase()}:</h4>
+                <div className="words-grid">
+                  {(topScores ? sortByScore(pattern.endsWords) : pattern.endsWords).map((word, i) => (
+                    <WordChip
+                      key={`end-${word}-${i}`}
+                      word={word}
+                      className="ends-chip"
+                      hasDefinition={Boolean(defineWord(word))}
+                      onShowDefinition={setDefinedWord}
+                    >
+                      {word}
+                      {topScores && <sub className="chip-score">{scoreWord(word, ruleset)}</sub>}
+                    </WordChip>
+                  ))}
+                </div>
+              </div>
+            )}
+            {pattern.startsCount > 0 && (
+              <div className="word-section">
+                <h4 className="section-title">Words starting with {pattern.pattern.toUpperCase()}-:</h4>
+                <div className="words-grid">
+                  {(topScores ? sortByScore(pattern.startsWords) : pattern.startsWords).map((word, i) => (
+                    <WordChip
+                      key={`start-${word}-${i}`}
+                      word={word}
+                      className="starts-chip"
+                      hasDefinition={Boolean(defineWord(word))}
+                      onShowDefinition={setDefinedWord}
+                    >
+                      {word}
+                      {topScores && <sub className="chip-score">{scoreWord(word, ruleset)}</sub>}
+                    </WordChip>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="app">
+      <style>{tierStyles(rarityTiers)}</style>
       <div className="container">
         <div className="header">
           <h1>🤪 Goofy's Jargon</h1>
+          {!isOnline && (
+            <div className="offline-indicator" role="status">
+              📴 Offline - using saved dictionaries. Your progress is still being saved on this device.
+            </div>
+          )}
+          {pendingUpdate && (
+            <div className="update-banner" role="status">
+              ✨ A new version of Goofy's Jargon is ready.
+              <button className="btn btn-primary btn-small" onClick={() => applyUpdate(pendingUpdate)}>
+                Reload
+              </button>
+            </div>
+          )}
+          {dictionaries.length > 0 && (
+            <div className="dictionary-switcher">
+              <select
+                className="filter-select"
+                value={dictionaryId || ''}
+                onChange={(e) => switchDictionary(e.target.value)}
+                aria-label="Dictionary"
+              >
+                {dictionaries.map(d => (
+                  <option key={d.id} value={d.id}>{d.imported ? '📥' : '📖'} {d.name}</option>
+                ))}
+              </select>
+              {currentDictionary && (
+                <span className="dictionary-size">{currentDictionary.length.toLocaleString()} words</span>
+              )}
+              <select
+                className="filter-select"
+                value={ruleset}
+                onChange={(e) => setRuleset(e.target.value)}
+                aria-label="Word game tile values"
+              >
+                {Object.entries(RULESETS).map(([id, { name }]) => (
+                  <option key={id} value={id}>🎲 {name}</option>
+                ))}
+              </select>
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowRaritySettings(prev => !prev)}
+                aria-expanded={showRaritySettings}
+              >
+                ⚙️ Rarity
+              </button>
+              {isImportedDictionary && (
+                <button className="btn btn-secondary" onClick={() => removeImportedDictionary(dictionaryId)}>
+                  Remove List
+                </button>
+              )}
+            </div>
+          )}
+          {showRaritySettings && dictionaryId && (
+            <RaritySettings
+              dictionaryName={dictionaries.find(d => d.id === dictionaryId)?.name || dictionaryId}
+              settings={raritySettings}
+              onChange={changeRaritySettings}
+              onReset={resetRaritySettings}
+              onClose={() => setShowRaritySettings(false)}
+            />
+          )}
+          <WordListImport onImport={importWordList} />
           <div className="mode-toggle">
             <button
               className={`mode-btn ${mode === 'explore' ? 'active' : ''}`}
               onClick={() => setMode('explore')}
+              aria-pressed={mode === 'explore'}
             >
               📚 Explore
             </button>
             <button
               className={`mode-btn ${mode === 'learn' ? 'active' : ''}`}
               onClick={() => setMode('learn')}
+              aria-pressed={mode === 'learn'}
             >
               🧠 Learn
             </button>
+            <button
+              className={`mode-btn ${mode === 'anagram' ? 'active' : ''}`}
+              onClick={() => setMode('anagram')}
+              aria-pressed={mode === 'anagram'}
+            >
+              🔤 Anagrams
+            </button>
+            <button
+              className={`mode-btn ${mode === 'puzzle' ? 'active' : ''}`}
+              onClick={() => setMode('puzzle')}
+              aria-pressed={mode === 'puzzle'}
+            >
+              🧩 Puzzles
+            </button>
+            <button
+              className={`mode-btn ${mode === 'progress' ? 'active' : ''}`}
+              onClick={() => setMode('progress')}
+              aria-pressed={mode === 'progress'}
+            >
+              📈 Progress
+            </button>
           </div>
+          <button
+            className="btn btn-secondary btn-small shortcut-btn"
+            onClick={() => setShowShortcuts(true)}
+            aria-keyshortcuts="?"
+          >
+            ⌨️ Shortcuts
+          </button>
         </div>
 
-        {mode === 'explore' && (
+        {mode === 'explore' && detailPattern && wordIndices && (
+          <PatternDetail
+            pattern={detailPattern}
+            wordIndices={wordIndices}
+            patternLengths={patternLengths}
+            isValidWord={isValidWord}
+            getRarityClass={getRarityClass}
+            onSelectPattern={setDetailPattern}
+            onBack={() => setDetailPattern(null)}
+          />
+        )}
+
+        {mode === 'explore' && !detailPattern && comparePatterns.length > 0 && wordIndices && (
+          <PatternCompare
+            patterns={comparePatterns}
+            wordIndices={wordIndices}
+            getRarityClass={getRarityClass}
+            onRemove={removeCompared}
+            onBack={() => setComparePatterns([])}
+          />
+        )}
+
+        {mode === 'explore' && !detailPattern && comparePatterns.length === 0 && (
           <div className="explore-mode">
             <div className="search-section">
               <div className="search-controls">
                 <input
                   type="text"
                   className="search-input"
-                  placeholder="Search by ending letters (e.g., 'tion', 'ing') or beginning letters (e.g., 'pre', 'un')..."
+                  placeholder="Search patterns ('tion', 'un') or words ('-xq-', 'c?ck*', '^[aeiou]x', 'ity$')..."
+                  aria-label="Search patterns or words"
+                  aria-keyshortcuts="/"
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
                 />
@@ -448,112 +1723,188 @@ function App() {
                   className="filter-select"
                   value={lengthFilter}
                   onChange={(e) => setLengthFilter(e.target.value)}
+                  disabled={Boolean(wordSearch)}
+                  aria-label="Pattern length"
                 >
                   <option value="all">All Lengths</option>
-                  <option value="2">2 Letters</option>
-                  <option value="3">3 Letters</option>
-                  <option value="4">4 Letters</option>
+                  {Array.from({ length: patternLengths.max - patternLengths.min + 1 }, (_, i) => patternLengths.min + i).map(len => (
+                    <option key={len} value={len}>{len} Letters</option>
+                  ))}
                 </select>
                 <select
                   className="filter-select"
                   value={rarityFilter}
                   onChange={(e) => setRarityFilter(e.target.value)}
+                  aria-label="Rarity"
                 >
                   <option value="all">All Rarities</option>
-                  <option value="ultra-rare">Ultra Rare (≤5)</option>
-                  <option value="rare">Rare (≤10)</option>
-                  <option value="uncommon">Uncommon (≤50)</option>
-                  <option value="common">Common (≤200)</option>
-                  <option value="very-common">Very Common (>200)</option>
+                  {rarityTiers.map((tier, i) => (
+                    <option key={tier.id} value={tier.id}>{tierLabel(rarityTiers, i)}</option>
+                  ))}
+                </select>
+                <select
+                  className="filter-select"
+                  value={sortOrder}
+                  onChange={(e) => setSortOrder(e.target.value)}
+                  disabled={Boolean(wordSearch)}
+                  aria-label="Sort patterns"
+                >
+                  {Object.entries(SORT_ORDERS).map(([id, name]) => (
+                    <option key={id} value={id}>Sort: {name}</option>
+                  ))}
+                </select>
+                <select
+                  className="filter-select"
+                  value={groupBy}
+                  onChange={(e) => setGroupBy(e.target.value)}
+                  disabled={Boolean(wordSearch)}
+                  aria-label="Group patterns"
+                >
+                  {Object.entries(GROUPINGS).map(([id, name]) => (
+                    <option key={id} value={id}>{name}</option>
+                  ))}
                 </select>
               </div>
-              <div className="stats">
-                Showing {((currentPage - 1) * itemsPerPage) + 1}-{Math.min(currentPage * itemsPerPage, filteredPatterns.length)} of {filteredPatterns.length} patterns • Sorted by rarity (rarest first)
+              <div className="word-checker">
+                <input
+                  type="text"
+                  className="search-input"
+                  placeholder="Is it a word? Type to check against this dictionary..."
+                  aria-label="Check a word"
+                  value={wordToCheck}
+                  onChange={(e) => setWordToCheck(e.target.value)}
+                />
+                {wordToCheck.trim() && (
+                  isValidWord(wordToCheck) ? (
+                    <span className="word-chip correct">
+                      ✓ {wordToCheck.trim().toLowerCase()} is valid • {scoreWord(wordToCheck.trim(), ruleset)} pts
+                    </span>
+                  ) : (
+                    <span className="word-chip incorrect">
+                      ✗ {wordToCheck.trim().toLowerCase()} is not in this dictionary
+                    </span>
+                  )
+                )}
               </div>
-              {totalPages > 1 && (
-                <div className="pagination">
-                  <button onClick={() => handlePageChange(-1)} disabled={currentPage === 1}>
-                    ← Previous
-                  </button>
-                  <span>Page {currentPage} of {totalPages}</span>
-                  <button onClick={() => handlePageChange(1)} disabled={currentPage === totalPages}>
-                    Next →
+              <p className="helper-text search-help">
+                Word search: <code>?</code> one letter, <code>*</code> any letters, <code>[aeiou]</code> one of,{' '}
+                <code>[^aeiou]</code> none of, <code>^</code>/<code>$</code> anchor start/end,{' '}
+                <code>-xq-</code> contains.
+              </p>
+              {wordSearch?.error ? (
+                <div className="stats search-error">{wordSearch.error}</div>
+              ) : (
+                <div className="stats">
+                  {listItems.length}{' '}
+                  {wordSearch
+                    ? `match groups (${filteredWordGroups.reduce((sum, g) => sum + g.count, 0)} words) • Sorted by rarity (rarest first)`
+                    : `patterns • ${sortOrder === 'score'
+                      ? `Sorted by top ${RULESETS[ruleset].name} word score`
+                      : `Sorted: ${SORT_ORDERS[sortOrder] || SORT_ORDERS.rarity}`}`}
+                </div>
+              )}
+              {!wordSearch?.error && (
+                <ExportMenu
+                  label={`Export ${listItems.length} ${wordSearch ? 'groups' : 'patterns'}`}
+                  fileName={`goofys-jargon-${dictionaryId}-${wordSearch ? 'search' : 'patterns'}`}
+                  dictionary={dictionaryId}
+                  getRows={() => wordSearch
+                    ? wordGroupRows(filteredWordGroups, getRarityClass)
+                    : explorePatternRows(sortedPatterns, dictionaryData, getRarityClass)}
+                  disabled={listItems.length === 0}
+                />
+              )}
+              {compareSelection.length > 0 && (
+                <div className="compare-tray">
+                  <span>⚖️ Compare:</span>
+                  {compareSelection.map(pattern => (
+                    <button
+                      key={pattern}
+                      className="word-chip compare-chip"
+                      onClick={() => toggleCompare(pattern)}
+                      aria-label={`Remove ${pattern.toUpperCase()} from comparison`}
+                    >
+                      {pattern.toUpperCase()} ✕
+                    </button>
+                  ))}
+                  <button
+                    className="btn btn-primary btn-small"
+                    onClick={() => setComparePatterns(compareSelection)}
+                    disabled={compareSelection.length < 2}
+                  >
+                    Compare Side by Side
                   </button>
+                  <span className="helper-text">Pick up to {MAX_COMPARED} patterns.</span>
                 </div>
               )}
             </div>
 
-            <div className="patterns-list">
-              {paginatedPatterns.map((pattern) => {
-                const isExpanded = expandedPattern === pattern.pattern;
-                return (
-                  <div key={pattern.pattern} className="pattern-item">
-                    <div
-                      className="pattern-header"
-                      onClick={() => toggleExpand(pattern.pattern)}
-                    >
-                      <div className="pattern-info">
-                        <span className="pattern-text">
-                          {pattern.pattern.toUpperCase()}
-                        </span>
-                        <span className={`rarity-badge ${getRarityClass(pattern.totalCount)}`}>
-                          {pattern.totalCount} total word{pattern.totalCount !== 1 ? 's' : ''}
-                        </span>
-                        <span className="length-badge">
-                          {pattern.length}L
-                        </span>
-                        {pattern.endsCount > 0 && (
-                          <span className="type-badge ends-badge">
-                            {pattern.endsCount} ending
-                          </span>
-                        )}
-                        {pattern.startsCount > 0 && (
-                          <span className="type-badge starts-badge">
-                            {pattern.startsCount} starting
-                          </span>
-                        )}
-                      </div>
-                      <span className="expand-icon">{isExpanded ? '▼' : '▶'}</span>
-                    </div>
-                    {isExpanded && (
-                      <div className="words-expanded">
-                        {pattern.endsCount > 0 && (
-                          <div className="word-section">
-                            <h4 className="section-title">Words ending with -{pattern.pattern.toUpperCase()}:</h4>
-                            <div className="words-grid">
-                              {pattern.endsWords.map((word, i) => (
-                                <div key={`end-${word}-${i}`} className="word-chip ends-chip">
-                                  {word}
-                                </div>
-                              ))}
-                            </div>
-                          </div>
-                        )}
-                        {pattern.startsCount > 0 && (
-                          <div className="word-section">
-                            <h4 className="section-title">Words starting with {pattern.pattern.toUpperCase()}-:</h4>
-                            <div className="words-grid">
-                              {pattern.startsWords.map((word, i) => (
-                                <div key={`start-${word}-${i}`} className="word-chip starts-chip">
-                                  {word}
-                                </div>
-                              ))}
-                            </div>
-                          </div>
-                        )}
-                      </div>
-                    )}
-                  </div>
-                );
-              })}
-            </div>
+            <VirtualList
+              className="patterns-list"
+              items={listRows}
+              getKey={rowKey}
+              scrollToKey={initialRoute.open ? `${wordSearch ? 'q' : 'p'}:${initialRoute.open}` : null}
+              renderItem={(row) => {
+                if (row.kind === 'letter') {
+                  return (
+                    <h3 className="pattern-group-heading">
+                      {row.letter} <span className="group-count">{row.count} pattern{row.count !== 1 ? 's' : ''}</span>
+                    </h3>
+                  );
+                }
+                return row.kind === 'query' ? renderQueryGroup(row) : renderPatternCard(row.pattern);
+              }}
+            />
           </div>
         )}
 
         {mode === 'learn' && (
           <div className="learn-mode">
-            {!isStudying ? (
+            {partyGame ? (
+              <PassAndPlay
+                key={partyGame.id}
+                players={partyGame.players}
+                challenges={partyGame.challenges}
+                ruleset={ruleset}
+                isValidWord={isValidWord}
+                acceptForms={acceptForms}
+                defineWord={defineWord}
+                onShowDefinition={setDefinedWord}
+                onAnnounce={announce}
+                onFinish={recordPartyGame}
+                onPlayAgain={() => startParty(selectedPatterns)}
+                onExit={() => setPartyGame(null)}
+              />
+            ) : !isStudying ? (
               <div className="selection-section">
+                {/* Spaced-repetition review queue */}
+                <div className="mode-selection-section due-queue">
+                  <h3>📅 Due Today</h3>
+                  {duePatterns.length > 0 ? (
+                    <>
+                      <div className="words-grid">
+                        {duePatterns.map(pattern => (
+                          <div key={`due-${pattern.pattern}_${pattern.type}`} className={`word-chip ${pattern.type}-chip`}>
+                            {pattern.type === 'ends' ? '-' : ''}{pattern.pattern.toUpperCase()}{pattern.type === 'starts' ? '-' : ''}
+                          </div>
+                        ))}
+                      </div>
+                      <div className="study-controls">
+                        <button
+                          className="btn btn-primary"
+                          onClick={() => startStudy(learnMode, duePatterns.map(p => `${p.pattern}_${p.type}`))}
+                        >
+                          Review Due Patterns ({duePatterns.length})
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <p className="helper-text">
+                      Nothing due. Patterns you study are scheduled here for review.
+                    </p>
+                  )}
+                </div>
+
                 {/* Step 1: Choose Pattern Type */}
                 <div className="mode-selection-section">
                   <h3>Step 1: Choose What to Learn</h3>
@@ -561,18 +1912,21 @@ function App() {
                     <button
                       className={`mode-btn ${patternTypeFilter === 'ends' ? 'active' : ''}`}
                       onClick={() => setPatternTypeFilter('ends')}
+                      aria-pressed={patternTypeFilter === 'ends'}
                     >
                       📝 Suffixes (Word Endings)
                     </button>
                     <button
                       className={`mode-btn ${patternTypeFilter === 'starts' ? 'active' : ''}`}
                       onClick={() => setPatternTypeFilter('starts')}
+                      aria-pressed={patternTypeFilter === 'starts'}
                     >
                       📝 Prefixes (Word Beginnings)
                     </button>
                     <button
                       className={`mode-btn ${patternTypeFilter === 'all' ? 'active' : ''}`}
                       onClick={() => setPatternTypeFilter('all')}
+                      aria-pressed={patternTypeFilter === 'all'}
                     >
                       📚 Both
                     </button>
@@ -582,18 +1936,112 @@ function App() {
                 {/* Step 2: Choose Game Mode */}
                 <div className="mode-selection-section">
                   <h3>Step 2: Choose Game Mode</h3>
-                  <div className="game-mode-cards">
-                    <div className={`game-mode-card ${learnMode === 'find' ? 'selected' : ''}`} onClick={() => setLearnMode('find')}>
-                      <div className="game-mode-icon">🔍</div>
-                      <h4>Find Words</h4>
-                      <p>Type word parts to complete the pattern. Test your recall!</p>
+                  <div className="game-mode-cards" role="radiogroup" aria-label="Game mode">
+                    {learnGameModes.map(({ id, icon, description }) => (
+                      <label key={id} className={`game-mode-card ${learnMode === id ? 'selected' : ''}`}>
+                        <input
+                          type="radio"
+                          className="sr-only"
+                          name="game-mode"
+                          value={id}
+                          checked={learnMode === id}
+                          onChange={() => setLearnMode(id)}
+                        />
+                        <span className="game-mode-icon" aria-hidden="true">{icon}</span>
+                        <h4>{GAME_MODES[id]}</h4>
+                        <p>{description}</p>
+                      </label>
+                    ))}
+                  </div>
+                  {learnMode === 'party' && (
+                    <PartySetup settings={partySettings} onChange={setPartySettings} />
+                  )}
+                  {(learnMode === 'repeat' || learnMode === 'dictation') && isSpeechSupported() && (
+                    <div className="speech-options">
+                      <select
+                        className="filter-select"
+                        value={speechSettings.voiceURI}
+                        onChange={(e) => setSpeechSettings(prev => ({ ...prev, voiceURI: e.target.value }))}
+                        aria-label="Voice"
+                      >
+                        <option value="">Default Voice</option>
+                        {voices.map(voice => (
+                          <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name} ({voice.lang})</option>
+                        ))}
+                      </select>
+                      <select
+                        className="filter-select"
+                        value={speechSettings.rate}
+                        onChange={(e) => setSpeechSettings(prev => ({ ...prev, rate: parseFloat(e.target.value) }))}
+                        aria-label="Speaking speed"
+                      >
+                        {SPEECH_RATES.map(rate => (
+                          <option key={rate} value={rate}>{rate}× Speed</option>
+                        ))}
+                      </select>
+                      {learnMode === 'repeat' && (
+                        <label className="pattern-checkbox">
+                          <input
+                            type="checkbox"
+                            checked={speechSettings.autoPlay}
+                            onChange={(e) => setSpeechSettings(prev => ({ ...prev, autoPlay: e.target.checked }))}
+                          />
+                          <span>Say each new word</span>
+                        </label>
+                      )}
+                      <button className="btn btn-secondary btn-small" onClick={() => speakWord("Goofy's Jargon")}>
+                        🔊 Test Voice
+                      </button>
                     </div>
-                    <div className={`game-mode-card ${learnMode === 'repeat' ? 'selected' : ''}`} onClick={() => setLearnMode('repeat')}>
-                      <div className="game-mode-icon">🔁</div>
-                      <h4>Repeat After Me</h4>
-                      <p>Type each word 3 times, then from memory. Build muscle memory!</p>
+                  )}
+                  {(learnMode === 'find' || learnMode === 'party') && (
+                    <label className="pattern-checkbox accept-forms-option">
+                      <input
+                        type="checkbox"
+                        checked={acceptForms}
+                        onChange={(e) => setAcceptForms(e.target.checked)}
+                      />
+                      <span>Accept plurals and other word forms ({FORM_POINTS_SHARE * 100}% points)</span>
+                    </label>
+                  )}
+                  {learnMode === 'find' && (
+                    <div className="timer-options">
+                      <div className="mode-toggle">
+                        {Object.entries(TIMER_MODES).map(([id, { name }]) => (
+                          <button
+                            key={id}
+                            className={`mode-btn ${timerMode === id ? 'active' : ''}`}
+                            onClick={() => setTimerMode(id)}
+                            aria-pressed={timerMode === id}
+                          >
+                            ⏱ {name}
+                          </button>
+                        ))}
+                      </div>
+                      {timerMode !== 'off' && (
+                        <>
+                          <p className="helper-text">
+                            Rare-pattern words earn bonus points, and every 3 words in a row raise your multiplier (up to ×3).
+                          </p>
+                          <input
+                            type="text"
+                            className="search-input player-name-input"
+                            placeholder="Your name for the leaderboard..."
+                            aria-label="Your name for the leaderboard"
+                            value={playerName}
+                            maxLength={24}
+                            onChange={(e) => setPlayerName(e.target.value)}
+                          />
+                          {selectedPatterns.length > 0 && (
+                            <>
+                              <h4 className="section-title">Best runs for the selected patterns</h4>
+                              <Leaderboard runs={leaderboard[leaderboardKey(timerMode, dictionaryId, selectedPatterns)]} />
+                            </>
+                          )}
+                        </>
+                      )}
                     </div>
-                  </div>
+                  )}
                 </div>
 
                 {/* Step 3: Filter and Select Patterns */}
@@ -603,11 +2051,12 @@ function App() {
                     type="text"
                     className="search-input"
                     placeholder="Type to filter patterns (e.g., 'tion', 'ing', 'pre', 'un')..."
+                    aria-label="Filter patterns"
                     value={customPatternInput}
                     onChange={(e) => setCustomPatternInput(e.target.value)}
                   />
                   <p className="helper-text">
-                    Leave empty to see all rare patterns (2-15 words, 3+ letters).
+                    Leave empty to see all rare patterns ({describeLearnable(raritySettings.learnable)}).
                   </p>
                 </div>
 
@@ -652,186 +2101,466 @@ function App() {
                     onClick={() => startStudy(learnMode)}
                     disabled={selectedPatterns.length === 0}
                   >
-                    Start {learnMode === 'find' ? 'Find Words' : 'Repeat After Me'} ({selectedPatterns.length} selected)
+                    Start {GAME_MODES[learnMode]} ({selectedPatterns.length} selected)
                   </button>
                 </div>
+                <ExportMenu
+                  label="Export selected patterns"
+                  fileName={`goofys-jargon-${dictionaryId}-selected`}
+                  dictionary={dictionaryId}
+                  getRows={() => learnPatternRows(studyPatternsFor(selectedPatterns), getRarityClass)}
+                  disabled={selectedPatterns.length === 0}
+                />
+                <StudyDecks
+                  decks={dictionaryDecks}
+                  dictionary={dictionaryId}
+                  selectedPatterns={selectedPatterns}
+                  tiers={rarityTiers}
+                  resolve={resolveStudyDeck}
+                  onSelect={setSelectedPatterns}
+                  onAddDeck={addStudyDeck}
+                  onUpdateDeck={updateStudyDeck}
+                  onDeleteDeck={deleteStudyDeck}
+                />
               </div>
             ) : (
-              <div className="challenge-area">
-                <div className="challenge-card">
-                  <div className="score">
-                    Score: {correctAnswers}/{totalAttempts} ({totalAttempts > 0 ? Math.round((correctAnswers / totalAttempts) * 100) : 0}%)
-                  </div>
-                  <div className="challenge-pattern">
-                    <span className="challenge-label">
-                      {currentChallenge?.type === 'ends' ? 'Words ending with:' : 'Words starting with:'}
-                    </span>
-                    <span className="challenge-pattern-text">
-                      {currentChallenge?.type === 'ends' ? '-' : ''}{currentChallenge?.pattern.toUpperCase()}{currentChallenge?.type === 'starts' ? '-' : ''}
-                    </span>
-                    <span className="challenge-hint">
-                      ({currentChallenge?.count} words total)
-                    </span>
+              <div className="challenge-area" ref={challengeAreaRef}>
+                {timedRun?.finished ? (
+                  <div className="challenge-card timed-results">
+                    <h3>⏱ Time's up!</h3>
+                    <div className="progress-summary">
+                      <div className="summary-card">
+                        <span className="summary-value">{points}</span>
+                        <span className="summary-label">Points</span>
+                      </div>
+                      <div className="summary-card">
+                        <span className="summary-value">{correctAnswers}</span>
+                        <span className="summary-label">Words Found</span>
+                      </div>
+                      <div className="summary-card">
+                        <span className="summary-value">{bestStreak}</span>
+                        <span className="summary-label">Best Streak</span>
+                      </div>
+                    </div>
+                    <p className="helper-text">
+                      {timedRun.rank === 0
+                        ? '🏆 New best score for this pattern set!'
+                        : timedRun.rank > 0
+                          ? `You placed #${timedRun.rank + 1} on the leaderboard.`
+                          : "Not quite enough for the leaderboard this time."}
+                    </p>
+                    <Leaderboard runs={leaderboard[timedRun.key]} highlightId={timedRun.runId} />
+                    <div className="challenge-actions">
+                      <button className="btn btn-primary" onClick={playAgain}>
+                        Play Again
+                      </button>
+                      <button className="btn btn-secondary" onClick={resetStudy}>
+                        End Practice
+                      </button>
+                    </div>
                   </div>
+                ) : (
+                  <div className="challenge-card">
+                    {timedRun && (
+                      <div className={`timed-bar ${timedRun.endsAt && timeLeft <= 10 ? 'urgent' : ''}`}>
+                        <span className="timed-clock" role="timer">
+                          ⏱ {Math.floor(timeLeft / 60)}:{String(timeLeft % 60).padStart(2, '0')}
+                        </span>
+                        <span className="timed-streak">
+                          🔥 {streak} in a row • ×{streakMultiplier(streak)}
+                        </span>
+                        {TIMER_MODES[timedRun.mode].perPattern && (
+                          <span className="timed-remaining">{timedRun.queue.length} pattern{timedRun.queue.length !== 1 ? 's' : ''} left</span>
+                        )}
+                      </div>
+                    )}
+                    <div className="score">
+                      Score: {correctAnswers}/{totalAttempts} ({totalAttempts > 0 ? Math.round((correctAnswers / totalAttempts) * 100) : 0}%)
+                      {learnMode === 'find' && ` • ${points} pts`}
+                    </div>
+                    {sessionMissed.size > 0 && (
+                      <ExportMenu
+                        label={`Export ${sessionMissed.size} missed word${sessionMissed.size !== 1 ? 's' : ''}`}
+                        fileName={`goofys-jargon-${dictionaryId}-missed`}
+                        dictionary={dictionaryId}
+                        getRows={() => learnPatternRows(studyPatternsFor(selectedPatterns), getRarityClass, sessionMissed)}
+                      />
+                    )}
+                    <div className="challenge-pattern">
+                      <span className="challenge-label">
+                        {currentChallenge?.type === 'ends' ? 'Words ending with:' : 'Words starting with:'}
+                      </span>
+                      <span className="challenge-pattern-text">
+                        {currentChallenge?.type === 'ends' ? '-' : ''}{currentChallenge?.pattern.toUpperCase()}{currentChallenge?.type === 'starts' ? '-' : ''}
+                      </span>
+                      <span className="challenge-hint">
+                        ({currentChallenge?.count} words total)
+                      </span>
+                    </div>
 
-                  {learnMode === 'repeat' ? (
-                    // Repeat After Me Mode
-                    currentWordIndex < (currentChallenge?.words.length || 0) ? (
-                      <div className="repeat-mode-section">
-                        <div className="repeat-word-display">
-                          <h3>
-                            {hideWord ? (
-                              <span className="hidden-word">Type the word from memory!</span>
-                            ) : (
-                              <span className="visible-word">{currentChallenge?.words[currentWordIndex]}</span>
+                    {QUIZ_MODES.includes(learnMode) ? (
+                      // Multiple Choice and Real or Fake Modes
+                      currentWordIndex < quizQuestions.length ? (
+                        <div className="answer-section">
+                          <QuizQuestion
+                            question={quizQuestions[currentWordIndex]}
+                            pattern={currentChallenge.pattern}
+                            type={currentChallenge.type}
+                            pick={quizPick}
+                            onPick={answerQuiz}
+                          />
+                          {quizPick !== null && quizQuestions[currentWordIndex].isReal && (
+                            <WordDefinition
+                              word={quizQuestions[currentWordIndex].word}
+                              senses={defineWord(quizQuestions[currentWordIndex].word)}
+                            />
+                          )}
+                          <div className="word-progress">
+                            Question {currentWordIndex + 1} of {quizQuestions.length}
+                          </div>
+                          <div className="challenge-actions">
+                            {quizPick !== null && (
+                              <button className="btn btn-primary" onClick={nextQuizQuestion}>
+                                Next Question →
+                              </button>
                             )}
-                          </h3>
-                          <p className="repeat-instruction">
-                            {hideWord
-                              ? 'Now type it without looking!'
-                              : `Type this word ${3 - repeatCount} more time${3 - repeatCount !== 1 ? 's' : ''}`
-                            }
+                            <button className="btn btn-info" onClick={resetStudy}>
+                              End Practice
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="completion-section">
+                          <h3>🎉 Pattern Complete!</h3>
+                          <p>
+                            You recognised {currentChallenge?.words.length - missedWords.size} of {currentChallenge?.words.length} words.
                           </p>
-                          <div className="progress-dots">
-                            {[0, 1, 2].map(i => (
-                              <span
-                                key={i}
-                                className={`progress-dot ${i < repeatCount ? 'completed' : ''}`}
-                              >
-                                {i < repeatCount ? '✓' : '○'}
-                              </span>
-                            ))}
+                          <div className="challenge-actions">
+                            <button className="btn btn-info" onClick={nextChallenge}>
+                              Next Pattern →
+                            </button>
+                            <button className="btn btn-secondary" onClick={resetStudy}>
+                              End Practice
+                            </button>
                           </div>
                         </div>
-                        <input
-                          type="text"
-                          className="answer-input"
-                          placeholder="Type the word..."
-                          value={userAnswer}
-                          onChange={(e) => setUserAnswer(e.target.value)}
-                          onKeyPress={(e) => e.key === 'Enter' && checkRepeatWord()}
-                          autoFocus
-                        />
-                        <div className="word-progress">
-                          Word {currentWordIndex + 1} of {currentChallenge?.words.length}
+                      )
+                    ) : learnMode === 'repeat' || learnMode === 'dictation' ? (
+                      // Repeat After Me and Dictation Modes
+                      currentWordIndex < (currentChallenge?.words.length || 0) ? (
+                        <div className="repeat-mode-section">
+                          <div className="repeat-word-display">
+                            <h3>
+                              {learnMode === 'dictation' ? (
+                                <span className="hidden-word">🎧 Listen and spell the word</span>
+                              ) : hideWord ? (
+                                <span className="hidden-word">Type the word from memory!</span>
+                              ) : (
+                                <span className="visible-word">{currentChallenge?.words[currentWordIndex]}</span>
+                              )}
+                            </h3>
+                            <p className="repeat-instruction">
+                              {learnMode === 'dictation'
+                                ? missedWords.has(repeatWord?.toLowerCase())
+                                  ? '✗ Not quite. Listen again and have another go!'
+                                  : 'Type what you hear.'
+                                : hideWord
+                                  ? 'Now type it without looking!'
+                                  : `Type this word ${3 - repeatCount} more time${3 - repeatCount !== 1 ? 's' : ''}`
+                              }
+                            </p>
+                            {isSpeechSupported() && (
+                              <button className="btn btn-secondary btn-small" onClick={() => speakWord(repeatWord)}>
+                                🔊 {learnMode === 'dictation' ? 'Replay' : 'Hear It'}
+                              </button>
+                            )}
+                            {learnMode === 'repeat' && !hideWord && currentChallenge && (
+                              <WordDefinition
+                                word={currentChallenge.words[currentWordIndex]}
+                                senses={defineWord(currentChallenge.words[currentWordIndex])}
+                              />
+                            )}
+                            <div className="progress-dots" hidden={learnMode === 'dictation'}>
+                              {[0, 1, 2].map(i => (
+                                <span
+                                  key={i}
+                                  className={`progress-dot ${i < repeatCount ? 'completed' : ''}`}
+                                >
+                                  {i < repeatCount ? '✓' : '○'}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                          <input
+                            type="text"
+                            className="answer-input"
+                            placeholder="Type the word..."
+                            aria-label={learnMode === 'dictation' ? 'Type the word you hear' : 'Type the word'}
+                            value={userAnswer}
+                            onChange={(e) => setUserAnswer(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && checkRepeatWord()}
+                            autoFocus
+                          />
+                          {answerFeedback && (
+                            <p className={`answer-feedback ${answerFeedback.kind}`}>
+                              {answerFeedback.message}
+                            </p>
+                          )}
+                          <div className="word-progress">
+                            Word {currentWordIndex + 1} of {currentChallenge?.words.length}
+                          </div>
+                          <div className="challenge-actions">
+                            <button className="btn btn-primary" onClick={checkRepeatWord}>
+                              Submit
+                            </button>
+                            <button className="btn btn-secondary" onClick={skipRepeatWord}>
+                              Skip Word
+                            </button>
+                            <button className="btn btn-info" onClick={resetStudy}>
+                              End Practice
+                            </button>
+                          </div>
                         </div>
-                        <div className="challenge-actions">
-                          <button className="btn btn-primary" onClick={checkRepeatWord}>
-                            Submit
-                          </button>
-                          <button className="btn btn-secondary" onClick={skipRepeatWord}>
-                            Skip Word
-                          </button>
-                          <button className="btn btn-info" onClick={resetStudy}>
-                            End Practice
-                          </button>
+                      ) : (
+                        <div className="completion-section">
+                          <h3>🎉 Pattern Complete!</h3>
+                          <p>You've practiced all {currentChallenge?.words.length} words for this pattern.</p>
+                          {learnMode === 'dictation' && (
+                            <div className="words-grid">
+                              {currentChallenge?.words.map(word => (
+                                <div
+                                  key={word}
+                                  className={`word-chip ${missedWords.has(word.toLowerCase()) ? 'reveal' : 'correct'}`}
+                                >
+                                  {word}
+                                </div>
+                              ))}
+                            </div>
+                          )}
+                          <div className="challenge-actions">
+                            <button className="btn btn-info" onClick={nextChallenge}>
+                              Next Pattern →
+                            </button>
+                            <button className="btn btn-secondary" onClick={resetStudy}>
+                              End Practice
+                            </button>
+                          </div>
                         </div>
-                      </div>
+                      )
                     ) : (
-                      <div className="completion-section">
-                        <h3>🎉 Pattern Complete!</h3>
-                        <p>You've practiced all {currentChallenge?.words.length} words for this pattern.</p>
-                        <div className="challenge-actions">
-                          <button className="btn btn-info" onClick={nextChallenge}>
-                            Next Pattern →
-                          </button>
-                          <button className="btn btn-secondary" onClick={resetStudy}>
-                            End Practice
-                          </button>
-                        </div>
-                      </div>
-                    )
-                  ) : (
-                    // Find Words Mode
-                    !showAnswer ? (
-                      <div className="answer-section">
-                        <div className="found-words-display">
-                          <h4>Found Words ({foundWords.size} / {currentChallenge?.count}):</h4>
-                          <div className="words-grid">
-                            {foundWords.size > 0 ? (
-                              Array.from(foundWords).map((word, i) => (
-                                <div key={`found-${word}-${i}`} className="word-chip correct">
-                                  ✓ {word}
+                      // Find Words Mode
+                      !showAnswer ? (
+                        <div className="answer-section">
+                          <div className="found-words-display">
+                            <h4>Found Words ({foundWords.size} / {currentChallenge?.count}):</h4>
+                            <div className="words-grid">
+                              {foundWords.size > 0 ? (
+                                Array.from(foundWords).map((word, i) => (
+                                  <WordChip
+                                    key={`found-${word}-${i}`}
+                                    word={word}
+                                    className="correct"
+                                    hasDefinition={Boolean(defineWord(word))}
+                                    onShowDefinition={setDefinedWord}
+                                  >
+                                    ✓ {word}
+                                  </WordChip>
+                                ))
+                              ) : (
+                                <div className="no-words-message">Type words below to find them!</div>
+                              )}
+                              {Array.from(revealedWords).map(word => (
+                                <div key={`revealed-${word}`} className="word-chip reveal">
+                                  👁 {word}
                                 </div>
-                              ))
+                              ))}
+                            </div>
+                            {lastFoundWord && (
+                              <WordDefinition word={lastFoundWord} senses={defineWord(lastFoundWord)} />
+                            )}
+                          </div>
+                          <div className="hint-box">
+                            {hint && currentChallenge && (
+                              <p className="hint-text">
+                                💡 {describeHint(hint.word, currentChallenge.pattern, currentChallenge.type, hint.level)}
+                              </p>
+                            )}
+                            <button
+                              className="btn btn-secondary btn-small"
+                              onClick={takeHint}
+                              disabled={!currentChallenge || foundWords.size + revealedWords.size >= currentChallenge.words.length}
+                            >
+                              💡 Hint: {HINT_LEVELS[nextHintLevel].name}{' '}
+                              ({HINT_LEVELS[nextHintLevel].penalty < 1
+                                ? `−${HINT_LEVELS[nextHintLevel].penalty * 100}% points`
+                                : 'no points'})
+                            </button>
+                          </div>
+                          <div className="input-with-pattern">
+                            {currentChallenge?.type === 'ends' ? (
+                              <div className="pattern-input-container">
+                                <input
+                                  type="text"
+                                  className="answer-input pattern-aware"
+                                  placeholder="Type the beginning..."
+                                  aria-label={`Beginning of a word ending with ${currentChallenge?.pattern.toUpperCase()}`}
+                                  aria-keyshortcuts="/"
+                                  value={userAnswer}
+                                  onChange={(e) => setUserAnswer(e.target.value)}
+                                  onKeyDown={(e) => e.key === 'Enter' && checkAnswer()}
+                                  autoFocus
+                                />
+                                <span className="pattern-suffix">-{currentChallenge?.pattern.toUpperCase()}</span>
+                              </div>
                             ) : (
-                              <div className="no-words-message">Type words below to find them!</div>
+                              <div className="pattern-input-container">
+                                <span className="pattern-prefix">{currentChallenge?.pattern.toUpperCase()}-</span>
+                                <input
+                                  type="text"
+                                  className="answer-input pattern-aware"
+                                  placeholder="Type the ending..."
+                                  aria-label={`Ending of a word starting with ${currentChallenge?.pattern.toUpperCase()}`}
+                                  aria-keyshortcuts="/"
+                                  value={userAnswer}
+                                  onChange={(e) => setUserAnswer(e.target.value)}
+                                  onKeyDown={(e) => e.key === 'Enter' && checkAnswer()}
+                                  autoFocus
+                                />
+                              </div>
                             )}
                           </div>
-                        </div>
-                        <div className="input-with-pattern">
-                          {currentChallenge?.type === 'ends' ? (
-                            <div className="pattern-input-container">
-                              <input
-                                type="text"
-                                className="answer-input pattern-aware"
-                                placeholder="Type the beginning..."
-                                value={userAnswer}
-                                onChange={(e) => setUserAnswer(e.target.value)}
-                                onKeyPress={(e) => e.key === 'Enter' && checkAnswer()}
-                                autoFocus
-                              />
-                              <span className="pattern-suffix">-{currentChallenge?.pattern.toUpperCase()}</span>
-                            </div>
-                          ) : (
-                            <div className="pattern-input-container">
-                              <span className="pattern-prefix">{currentChallenge?.pattern.toUpperCase()}-</span>
-                              <input
-                                type="text"
-                                className="answer-input pattern-aware"
-                                placeholder="Type the ending..."
-                                value={userAnswer}
-                                onChange={(e) => setUserAnswer(e.target.value)}
-                                onKeyPress={(e) => e.key === 'Enter' && checkAnswer()}
-                                autoFocus
-                              />
+                          {answerFeedback && (
+                            <p className={`answer-feedback ${answerFeedback.kind}`}>
+                              {answerFeedback.message}
+                            </p>
+                          )}
+                          {acceptedForms.length > 0 && (
+                            <div className="miss-log">
+                              <h4>Accepted Forms ({acceptedForms.length}):</h4>
+                              <div className="words-grid">
+                                {acceptedForms.map(({ word, base }) => (
+                                  <div key={`form-${word}`} className="word-chip form-chip">
+                                    {word} → {base}
+                                  </div>
+                                ))}
+                              </div>
                             </div>
                           )}
-                        </div>
-                        <div className="challenge-actions">
-                          <button className="btn btn-primary" onClick={checkAnswer}>
-                            Submit Word
-                          </button>
-                          <button className="btn btn-secondary" onClick={showAllWords}>
-                            Show Words
-                          </button>
-                          <button className="btn btn-info" onClick={resetStudy}>
-                            End Practice
-                          </button>
-                        </div>
-                      </div>
-                    ) : (
-                      <div className="answer-reveal">
-                        <h4>You found {foundWords.size} out of {currentChallenge?.count} words!</h4>
-                        <div className="words-grid">
-                          {currentChallenge?.words.map((word, i) => {
-                            const wasFound = foundWords.has(word.toLowerCase());
-                            return (
-                              <div
-                                key={`${word}-${i}`}
-                                className={`word-chip ${wasFound ? 'correct' : 'reveal'}`}
-                              >
-                                {wasFound ? '✓ ' : ''}{word}
+                          {missLog.length > 0 && (
+                            <div className="miss-log">
+                              <h4>Misses ({missLog.length}):</h4>
+                              <div className="words-grid">
+                                {missLog.map(({ word, kind }, i) => (
+                                  <div key={`miss-${word}-${i}`} className={`word-chip miss-chip ${kind}`} title={MISS_LABELS[kind]}>
+                                    {word}
+                                  </div>
+                                ))}
                               </div>
-                            );
-                          })}
+                            </div>
+                          )}
+                          <div className="challenge-actions">
+                            <button className="btn btn-primary" onClick={checkAnswer}>
+                              Submit Word
+                            </button>
+                            <button className="btn btn-secondary" onClick={showAllWords}>
+                              Show Words
+                            </button>
+                            <button className="btn btn-info" onClick={resetStudy}>
+                              End Practice
+                            </button>
+                          </div>
                         </div>
-                        <div className="challenge-actions">
-                          <button className="btn btn-info" onClick={nextChallenge}>
-                            Next Challenge →
-                          </button>
-                          <button className="btn btn-secondary" onClick={resetStudy}>
-                            End Practice
-                          </button>
+                      ) : (
+                        <div className="answer-reveal">
+                          <h4>You found {foundWords.size} out of {currentChallenge?.count} words!</h4>
+                          <div className="words-grid">
+                            {currentChallenge?.words.map((word, i) => {
+                              const wasFound = foundWords.has(word.toLowerCase());
+                              // The speaker sits beside the chip, which can be a button itself
+                              return (
+                                <span key={`${word}-${i}`} className="spoken-word">
+                                  <WordChip
+                                    word={word}
+                                    className={wasFound ? 'correct' : 'reveal'}
+                                    hasDefinition={Boolean(defineWord(word))}
+                                    onShowDefinition={setDefinedWord}
+                                  >
+                                    {wasFound ? '✓ ' : ''}{word}
+                                  </WordChip>
+                                  {isSpeechSupported() && (
+                                    <button className="speak-btn" onClick={() => speakWord(word)} aria-label={`Hear ${word}`}>
+                                      🔊
+                                    </button>
+                                  )}
+                                </span>
+                              );
+                            })}
+                          </div>
+                          <div className="challenge-actions">
+                            <button className="btn btn-info" onClick={nextChallenge}>
+                              {timedRun && TIMER_MODES[timedRun.mode].perPattern && timedRun.queue.length === 0
+                                ? 'Finish Run 🏁'
+                                : 'Next Challenge →'}
+                            </button>
+                            <button className="btn btn-secondary" onClick={resetStudy}>
+                              End Practice
+                            </button>
+                          </div>
                         </div>
-                      </div>
-                    )
-                  )}
-                </div>
+                      )
+                    )}
+                  </div>
+                )}
               </div>
             )}
           </div>
         )}
+
+        {mode === 'anagram' && wordIndices && (
+          <AnagramSolver
+            rack={anagramRack}
+            onRackChange={setAnagramRack}
+            words={currentDictionary}
+            wordIndices={wordIndices}
+            patternLengths={patternLengths}
+            getRarityClass={getRarityClass}
+            getRarityRank={getRarityRank}
+          />
+        )}
+
+        {mode === 'puzzle' && wordIndices && (
+          <WordPuzzle
+            kind={puzzleKind}
+            level={puzzleLevel}
+            onKindChange={setPuzzleKind}
+            onLevelChange={setPuzzleLevel}
+            words={currentDictionary}
+            wordIndices={wordIndices}
+            defineWord={defineWord}
+            onShowDefinition={setDefinedWord}
+            onAnnounce={announce}
+          />
+        )}
+
+        {mode === 'progress' && (
+          <ProgressDashboard
+            history={studyHistory}
+            srsSchedule={srsSchedule}
+            onClearHistory={clearHistory}
+          />
+        )}
+      </div>
+
+      {definedWord && defineWord(definedWord) && (
+        <div className="definition-panel" role="status">
+          <WordDefinition word={definedWord} senses={defineWord(definedWord)} />
+        </div>
+      )}
+
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
+
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        <span key={announcement.id}>{announcement.text}</span>
       </div>
     </div>
   );
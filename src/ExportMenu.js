@@ -0,0 +1,34 @@
+import React from 'react';
+import { EXPORT_FORMATS, formatRows, downloadFile } from './exportData';
+
+// Buttons that download the rows from getRows() in each export format.
+// Rows are built on click, so large result sets cost nothing until exported.
+function ExportMenu({ label = 'Export', fileName, dictionary, getRows, disabled = false }) {
+  const handleExport = (format) => {
+    const rows = getRows();
+    if (rows.length === 0) {
+      alert('Nothing to export yet!');
+      return;
+    }
+    const { extension, mime } = EXPORT_FORMATS[format];
+    downloadFile(`${fileName}.${extension}`, formatRows(format, rows, dictionary), mime);
+  };
+
+  return (
+    <div className="export-menu">
+      <span className="export-label">📤 {label}:</span>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label: formatLabel }]) => (
+        <button
+          key={format}
+          className="btn btn-secondary btn-small"
+          onClick={() => handleExport(format)}
+          disabled={disabled}
+        >
+          {formatLabel}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,39 @@
+import React from 'react';
+
+// Best timed runs for one pattern set; highlightId marks the run just played
+function Leaderboard({ runs, highlightId = null }) {
+  if (!runs || runs.length === 0) {
+    return <p className="helper-text">No timed runs for this pattern set yet. Be the first!</p>;
+  }
+
+  return (
+    <table className="history-table leaderboard-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Player</th>
+          <th>Score</th>
+          <th>Words</th>
+          <th>Best Streak</th>
+          <th>Accuracy</th>
+          <th>Date</th>
+        </tr>
+      </thead>
+      <tbody>
+        {runs.map((run, i) => (
+          <tr key={run.id} className={run.id === highlightId ? 'highlight-row' : ''}>
+            <td>{i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : i + 1}</td>
+            <td>{run.player}</td>
+            <td>{run.score}</td>
+            <td>{run.words}</td>
+            <td>{run.bestStreak}</td>
+            <td>{run.accuracy}%</td>
+            <td>{new Date(run.date).toLocaleDateString()}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default Leaderboard;
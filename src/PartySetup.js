@@ -0,0 +1,64 @@
+import React from 'react';
+import { MIN_PLAYERS, MAX_PLAYERS, ROUND_COUNTS } from './party';
+
+// Player names and round count for Pass & Play, shown under the game mode cards
+function PartySetup({ settings, onChange }) {
+  const { players, rounds } = settings;
+
+  const renamePlayer = (index, name) =>
+    onChange({ ...settings, players: players.map((player, i) => (i === index ? name : player)) });
+
+  return (
+    <div className="party-setup">
+      <p className="helper-text">
+        Players take turns on this device. Each round is one of your selected patterns; type a word that fits to claim it
+        before anyone else does. A round ends when every word is claimed or everyone passes in a row.
+      </p>
+      <ol className="party-players">
+        {players.map((player, i) => (
+          <li key={i} className="party-player-row">
+            <input
+              type="text"
+              className="search-input player-name-input"
+              placeholder={`Player ${i + 1}`}
+              aria-label={`Player ${i + 1} name`}
+              value={player}
+              maxLength={24}
+              onChange={(e) => renamePlayer(i, e.target.value)}
+            />
+            {players.length > MIN_PLAYERS && (
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={() => onChange({ ...settings, players: players.filter((_, other) => other !== i) })}
+                aria-label={`Remove ${player || `player ${i + 1}`}`}
+              >
+                ✕
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+      <div className="party-options">
+        <button
+          className="btn btn-secondary btn-small"
+          onClick={() => onChange({ ...settings, players: [...players, ''] })}
+          disabled={players.length >= MAX_PLAYERS}
+        >
+          + Add Player
+        </button>
+        <select
+          className="filter-select"
+          value={rounds}
+          onChange={(e) => onChange({ ...settings, rounds: parseInt(e.target.value, 10) })}
+          aria-label="Number of rounds"
+        >
+          {ROUND_COUNTS.map(count => (
+            <option key={count} value={count}>{count} Rounds</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+export default PartySetup;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { answerWord, judgeAnswer, FORM_POINTS_SHARE } from './answerFeedback';
+import { firstTurn, standings, roundResults } from './party';
+import { scoreWord } from './wordGame';
+import WordChip from './WordChip';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+const patternLabel = ({ pattern, type }) =>
+  `${type === 'ends' ? '-' : ''}${pattern.toUpperCase()}${type === 'starts' ? '-' : ''}`;
+
+// Pass-and-play rounds on one device. `challenges` holds one learnable pattern
+// per round; answers are checked the same way as in Find Words, and each
+// claimed word scores its tile points for the player who claimed it. The
+// finished rounds are passed to `onFinish` once, at the podium or on quitting.
+function PassAndPlay({ players, challenges, ruleset, isValidWord, acceptForms, defineWord, onShowDefinition, onAnnounce, onFinish, onPlayAgain, onExit }) {
+  const [round, setRound] = useState(0);
+  const [turn, setTurn] = useState(0);
+  const [claims, setClaims] = useState([]); // { word, player, round, points }
+  const [passes, setPasses] = useState(0); // passes in a row this round
+  const [attempts, setAttempts] = useState(0); // judged answers, for study history
+  const [typoRetried, setTypoRetried] = useState(false); // the current player already fixed one typo
+  const [answer, setAnswer] = useState('');
+  const [feedback, setFeedback] = useState(null); // { kind, message } for the last answer
+  const [phase, setPhase] = useState('play'); // 'play', 'round-over' or 'podium'
+  const inputRef = useRef(null);
+  const finished = useRef(false);
+
+  const challenge = challenges[round];
+  // Case variants ("Polish", "polish") are one word to claim
+  const roundWords = useMemo(() => Array.from(new Set(challenge.words.map(word => word.toLowerCase()))), [challenge]);
+  const roundClaims = claims.filter(claim => claim.round === round);
+  const claimedBy = new Map(roundClaims.map(claim => [claim.word, claim.player]));
+  const table = standings(players, claims);
+
+  useEffect(() => {
+    if (phase !== 'play') return;
+    onAnnounce(`Round ${round + 1}: words ${challenge.type === 'ends' ? 'ending' : 'starting'} with ${challenge.pattern.toUpperCase()}. ${players[firstTurn(round, players.length)]} goes first.`);
+  }, [round, phase, challenge, players, onAnnounce]);
+
+  useEffect(() => {
+    if (phase === 'play' && inputRef.current) inputRef.current.focus();
+  }, [turn, phase]);
+
+  const passTurn = (message) => {
+    const next = (turn + 1) % players.length;
+    setTurn(next);
+    setTypoRetried(false);
+    onAnnounce(`${message} ${players[next]}'s turn.`);
+  };
+
+  const endRound = () => {
+    setPhase('round-over');
+    setAnswer('');
+    onAnnounce(`Round ${round + 1} over.`);
+  };
+
+  const submitAnswer = () => {
+    if (!answer.trim()) return;
+    const word = answerWord(answer, challenge);
+    if (claimedBy.has(word)) {
+      setFeedback({ kind: 'repeat', message: `"${word}" was already claimed by ${players[claimedBy.get(word)]}.` });
+      setAnswer('');
+      return;
+    }
+
+    const { miss, creditedWord, feedback: result } = judgeAnswer(answer, challenge, new Set(claimedBy.keys()), isValidWord, acceptForms);
+    const player = players[turn];
+    // A typo can be fixed once without losing the turn; a second one is a miss
+    if (miss && miss.kind === 'typo' && !typoRetried) {
+      setTypoRetried(true);
+      setFeedback({ kind: result.kind, message: `${result.message} One more try, ${player}.` });
+      onAnnounce(result.message);
+      return;
+    }
+
+    setAnswer('');
+    setPasses(0);
+    setAttempts(attempts + 1);
+    if (!creditedWord) {
+      setFeedback({ kind: result.kind, message: `${player}: ${result.message}` });
+      passTurn(result.message);
+      return;
+    }
+
+    const points = Math.round((miss ? FORM_POINTS_SHARE : 1) * scoreWord(creditedWord, ruleset));
+    setClaims(prev => [...prev, { word: creditedWord, player: turn, round, points }]);
+    setFeedback({ kind: 'correct', message: `${player}: ${result.message} +${points} pts` });
+    if (roundClaims.length + 1 === roundWords.length) endRound();
+    else passTurn(`${player} claimed "${creditedWord}" for ${points} points.`);
+  };
+
+  const pass = () => {
+    setAnswer('');
+    setFeedback({ kind: 'repeat', message: `${players[turn]} passed.` });
+    if (passes + 1 >= players.length) {
+      endRound();
+      return;
+    }
+    setPasses(passes + 1);
+    passTurn(`${players[turn]} passed.`);
+  };
+
+  // Report the rounds played so far, once per game
+  const finish = (roundsPlayed) => {
+    if (finished.current) return;
+    finished.current = true;
+    onFinish({ rounds: roundResults(challenges, claims, roundsPlayed), attempts, points: claims.reduce((sum, claim) => sum + claim.points, 0) });
+  };
+
+  // The round being played when the game is quit doesn't count
+  const quit = () => {
+    finish(round);
+    onExit();
+  };
+
+  const nextRound = () => {
+    if (round + 1 >= challenges.length) {
+      finish(challenges.length);
+      setPhase('podium');
+      onAnnounce(`Game over. ${table.filter(entry => entry.place === 1).map(entry => entry.name).join(' and ')} wins!`);
+      return;
+    }
+    setRound(round + 1);
+    setTurn(firstTurn(round + 1, players.length));
+    setTypoRetried(false);
+    setPasses(0);
+    setFeedback(null);
+    setPhase('play');
+  };
+
+  if (phase === 'podium') {
+    const podium = table.slice(0, 3);
+    return (
+      <div className="challenge-area">
+        <div className="challenge-card party-podium">
+          <h3>🏆 Final Standings</h3>
+          <div className="podium">
+            {[1, 0, 2].filter(i => podium[i]).map(i => (
+              <div key={podium[i].name} className={`podium-step place-${podium[i].place}`}>
+                <span className="podium-medal" aria-hidden="true">{MEDALS[podium[i].place - 1] || ''}</span>
+                <span className="podium-name">{podium[i].name}</span>
+                <span className="podium-score">{podium[i].score} pts</span>
+              </div>
+            ))}
+          </div>
+          <ol className="party-scoreboard">
+            {table.map(entry => (
+              <li key={entry.name}>
+                <span>{entry.place}. {entry.name}</span>
+                <span>{entry.score} pts • {entry.words} word{entry.words !== 1 ? 's' : ''}</span>
+              </li>
+            ))}
+          </ol>
+          <div className="challenge-actions">
+            <button className="btn btn-primary" onClick={onPlayAgain}>
+              Play Again
+            </button>
+            <button className="btn btn-secondary" onClick={onExit}>
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="challenge-area">
+      <div className="challenge-card">
+        <ol className="party-scoreboard">
+          {players.map((name, i) => (
+            <li key={name} className={phase === 'play' && i === turn ? 'current-player' : ''}>
+              <span>{name}</span>
+              <span>{table.find(entry => entry.name === name).score} pts</span>
+            </li>
+          ))}
+        </ol>
+        <div className="challenge-pattern">
+          <span className="challenge-label">
+            Round {round + 1} of {challenges.length} • {challenge.type === 'ends' ? 'Words ending with:' : 'Words starting with:'}
+          </span>
+          <span className="challenge-pattern-text">{patternLabel(challenge)}</span>
+          <span className="challenge-hint">
+            ({roundClaims.length} of {roundWords.length} words claimed)
+          </span>
+        </div>
+
+        <div className="answer-section">
+          <div className="words-grid">
+            {roundWords
+              .filter(word => claimedBy.has(word) || phase === 'round-over')
+              .map(word => (
+                <WordChip
+                  key={word}
+                  word={word}
+                  className={claimedBy.has(word) ? 'correct' : 'reveal'}
+                  hasDefinition={Boolean(defineWord(word))}
+                  onShowDefinition={onShowDefinition}
+                >
+                  {claimedBy.has(word) ? `${word} • ${players[claimedBy.get(word)]}` : word}
+                </WordChip>
+              ))}
+          </div>
+
+          {phase === 'play' ? (
+            <>
+              <h4 className="party-turn">{players[turn]}'s turn</h4>
+              <input
+                ref={inputRef}
+                type="text"
+                className="answer-input"
+                placeholder={challenge.type === 'ends' ? 'Type the beginning (or the whole word)...' : 'Type the ending (or the whole word)...'}
+                aria-label={`${players[turn]}, type a word`}
+                value={answer}
+                onChange={(e) => setAnswer(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && submitAnswer()}
+              />
+              {feedback && (
+                <p className={`answer-feedback ${feedback.kind}`}>
+                  {feedback.message}
+                </p>
+              )}
+              <div className="challenge-actions">
+                <button className="btn btn-primary" onClick={submitAnswer}>
+                  Claim Word
+                </button>
+                <button className="btn btn-secondary" onClick={pass}>
+                  Pass
+                </button>
+                <button className="btn btn-secondary" onClick={endRound}>
+                  End Round
+                </button>
+                <button className="btn btn-info" onClick={quit}>
+                  Quit Game
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="challenge-actions">
+              <button className="btn btn-primary" onClick={nextRound}>
+                {round + 1 < challenges.length ? 'Next Round →' : 'See the Podium →'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PassAndPlay;
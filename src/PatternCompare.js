@@ -0,0 +1,80 @@
+import React, { useMemo } from 'react';
+
+// Longest column shown; the rest are counted
+const MAX_COLUMN_WORDS = 150;
+
+const SIDES = [
+  { type: 'ends', title: 'Words ending with', format: (pattern) => `-${pattern.toUpperCase()}` },
+  { type: 'starts', title: 'Words starting with', format: (pattern) => `${pattern.toUpperCase()}-` }
+];
+
+// One column per pattern for a side; words that appear in more than one column
+// are marked and listed first so the overlap lines up at the top
+const compareSide = (patterns, lookup) => {
+  const columns = patterns.map(pattern => ({ pattern, words: lookup.get(pattern) || [] }));
+  const seen = new Map();
+  columns.forEach(({ words }) => words.forEach(word => seen.set(word, (seen.get(word) || 0) + 1)));
+  return columns.map(({ pattern, words }) => {
+    const shared = words.filter(word => seen.get(word) > 1);
+    const sharedSet = new Set(shared);
+    return { pattern, shared, words: [...shared, ...words.filter(word => !sharedSet.has(word))] };
+  });
+};
+
+// Two or three patterns side by side, endings and beginnings in separate rows of columns
+function PatternCompare({ patterns, wordIndices, getRarityClass, onRemove, onBack }) {
+  const sides = useMemo(() => SIDES.map(side => ({
+    ...side,
+    columns: compareSide(patterns, side.type === 'ends' ? wordIndices.endsMap : wordIndices.startsMap)
+  })), [patterns, wordIndices]);
+
+  return (
+    <div className="pattern-compare">
+      <div className="pattern-detail-header">
+        <button className="btn btn-secondary" onClick={onBack}>
+          ← Back to patterns
+        </button>
+        <h2 className="challenge-pattern-text">{patterns.map(p => p.toUpperCase()).join(' vs ')}</h2>
+      </div>
+
+      {sides.map(({ type, title, format, columns }) => (
+        <div key={type} className="mode-selection-section">
+          <h3>{title}</h3>
+          <div className="compare-columns" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(0, 1fr))` }}>
+            {columns.map(({ pattern, words, shared }) => (
+              <div key={pattern} className="compare-column">
+                <div className="compare-column-header">
+                  <span className="pattern-text">{format(pattern)}</span>
+                  <span className={`rarity-badge ${getRarityClass(words.length)}`}>{words.length} words</span>
+                  {patterns.length > 2 && (
+                    <button
+                      className="btn btn-secondary btn-small"
+                      onClick={() => onRemove(pattern)}
+                      aria-label={`Stop comparing ${pattern.toUpperCase()}`}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </div>
+                {shared.length > 0 && (
+                  <p className="helper-text">{shared.length} shared with another pattern</p>
+                )}
+                <div className="compare-words">
+                  {words.slice(0, MAX_COLUMN_WORDS).map((word, i) => (
+                    <div key={word} className={`word-chip ${i < shared.length ? 'shared-chip' : ''}`}>{word}</div>
+                  ))}
+                  {words.length > MAX_COLUMN_WORDS && (
+                    <div className="no-words-message">…and {words.length - MAX_COLUMN_WORDS} more</div>
+                  )}
+                  {words.length === 0 && <div className="no-words-message">None</div>}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PatternCompare;
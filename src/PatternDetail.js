@@ -0,0 +1,183 @@
+import React, { useMemo } from 'react';
+
+// Does the rest of the word stand on its own? e.g. walk|ing, hop(p)|ing, bak(e)|ing, un|able
+const hasRealStem = (stem, type, isValidWord) => {
+  if (stem.length < 2) return false;
+  if (isValidWord(stem)) return true;
+  if (type === 'ends') {
+    if (isValidWord(`${stem}e`)) return true;
+    const last = stem.length - 1;
+    if (stem[last] === stem[last - 1] && isValidWord(stem.slice(0, last))) return true;
+  }
+  return false;
+};
+
+const lengthDistribution = (words) => {
+  const counts = new Map();
+  words.forEach(word => counts.set(word.length, (counts.get(word.length) || 0) + 1));
+  return Array.from(counts.entries()).sort((a, b) => a[0] - b[0]);
+};
+
+// Longer patterns one letter further into the word, with their word counts
+const childPatterns = (pattern, type, words) => {
+  const counts = new Map();
+  words.forEach(word => {
+    const lowerWord = word.toLowerCase();
+    if (lowerWord.length <= pattern.length) return;
+    const child = type === 'ends'
+      ? lowerWord.slice(-(pattern.length + 1))
+      : lowerWord.slice(0, pattern.length + 1);
+    counts.set(child, (counts.get(child) || 0) + 1);
+  });
+  return Array.from(counts.entries())
+    .map(([child, count]) => ({ pattern: child, count }))
+    .sort((a, b) => b.count - a.count || a.pattern.localeCompare(b.pattern));
+};
+
+// Shorter patterns contained in this one, shortest first
+const parentPatterns = (pattern, type, minLength) => {
+  const parents = [];
+  for (let len = minLength; len < pattern.length; len++) {
+    parents.push(type === 'ends' ? pattern.slice(-len) : pattern.slice(0, len));
+  }
+  return parents;
+};
+
+const formatPattern = (pattern, type) =>
+  type === 'ends' ? `-${pattern.toUpperCase()}` : `${pattern.toUpperCase()}-`;
+
+function PatternSide({ pattern, type, words, lookup, minLength, isValidWord, getRarityClass, onSelectPattern }) {
+  const analysis = useMemo(() => {
+    const morphemic = new Set(words.filter(word => {
+      const lowerWord = word.toLowerCase();
+      const stem = type === 'ends'
+        ? lowerWord.slice(0, lowerWord.length - pattern.length)
+        : lowerWord.slice(pattern.length);
+      return hasRealStem(stem, type, isValidWord);
+    }));
+    return {
+      distribution: lengthDistribution(words),
+      morphemic: Array.from(morphemic),
+      coincidental: words.filter(word => !morphemic.has(word)),
+      parents: parentPatterns(pattern, type, minLength).map(p => ({ pattern: p, count: lookup.count(p) })),
+      children: childPatterns(pattern, type, words)
+    };
+  }, [pattern, type, words, lookup, minLength, isValidWord]);
+
+  if (words.length === 0) return null;
+
+  const maxCount = Math.max(...analysis.distribution.map(([, count]) => count));
+  const morphemeShare = Math.round((analysis.morphemic.length / words.length) * 100);
+
+  return (
+    <div className="mode-selection-section pattern-detail-side">
+      <h3>
+        {type === 'ends' ? 'As an ending' : 'As a beginning'}: {formatPattern(pattern, type)}{' '}
+        <span className={`rarity-badge ${getRarityClass(words.length)}`}>{words.length} words</span>
+      </h3>
+
+      <h4 className="section-title">Word length distribution</h4>
+      <div className="length-chart">
+        {analysis.distribution.map(([length, count]) => (
+          <div key={length} className="length-row">
+            <span className="length-label">{length}L</span>
+            <div className="length-bar-track">
+              <div className="length-bar" style={{ width: `${(count / maxCount) * 100}%` }} />
+            </div>
+            <span className="length-count">{count}</span>
+          </div>
+        ))}
+      </div>
+
+      <h4 className="section-title">
+        Morpheme or coincidence? {morphemeShare}% of words have a real stem {type === 'ends' ? 'before' : 'after'} it
+      </h4>
+      <div className="morpheme-meter">
+        <div className="morpheme-fill" style={{ width: `${morphemeShare}%` }} />
+      </div>
+      <div className="words-grid morpheme-examples">
+        {analysis.morphemic.slice(0, 12).map(word => (
+          <div key={`m-${word}`} className="word-chip correct">{word}</div>
+        ))}
+        {analysis.coincidental.slice(0, 12).map(word => (
+          <div key={`c-${word}`} className="word-chip reveal">{word}</div>
+        ))}
+      </div>
+
+      <h4 className="section-title">Related patterns</h4>
+      <div className="pattern-tree">
+        {analysis.parents.map(({ pattern: parent, count }, i) => (
+          <button
+            key={parent}
+            className="tree-node"
+            style={{ marginLeft: `${i * 20}px` }}
+            onClick={() => onSelectPattern(parent)}
+          >
+            {formatPattern(parent, type)} <span className="tree-count">{count}</span>
+          </button>
+        ))}
+        <div className="tree-node current" style={{ marginLeft: `${analysis.parents.length * 20}px` }}>
+          {formatPattern(pattern, type)} <span className="tree-count">{words.length}</span>
+        </div>
+        <div className="tree-children" style={{ marginLeft: `${(analysis.parents.length + 1) * 20}px` }}>
+          {analysis.children.map(({ pattern: child, count }) => (
+            <button key={child} className="tree-node" onClick={() => onSelectPattern(child)}>
+              {formatPattern(child, type)} <span className="tree-count">{count}</span>
+            </button>
+          ))}
+          {analysis.children.length === 0 && (
+            <span className="helper-text">No longer patterns.</span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PatternDetail({ pattern, wordIndices, patternLengths, isValidWord, getRarityClass, onSelectPattern, onBack }) {
+  const endsWords = useMemo(() => wordIndices.endsMap.get(pattern) || [], [wordIndices, pattern]);
+  const startsWords = useMemo(() => wordIndices.startsMap.get(pattern) || [], [wordIndices, pattern]);
+  const bothEnds = useMemo(() => {
+    const starting = new Set(startsWords);
+    return endsWords.filter(word => starting.has(word) && word.length > pattern.length);
+  }, [endsWords, startsWords, pattern]);
+
+  const sideProps = {
+    pattern,
+    minLength: patternLengths.min,
+    isValidWord,
+    getRarityClass,
+    onSelectPattern
+  };
+
+  return (
+    <div className="pattern-detail">
+      <div className="pattern-detail-header">
+        <button className="btn btn-secondary" onClick={onBack}>
+          ← Back to patterns
+        </button>
+        <h2 className="challenge-pattern-text">{pattern.toUpperCase()}</h2>
+      </div>
+
+      {endsWords.length === 0 && startsWords.length === 0 && (
+        <div className="no-patterns-message">No words start or end with {pattern.toUpperCase()}.</div>
+      )}
+
+      <PatternSide {...sideProps} type="ends" words={endsWords} lookup={wordIndices.endsMap} />
+      <PatternSide {...sideProps} type="starts" words={startsWords} lookup={wordIndices.startsMap} />
+
+      {bothEnds.length > 0 && (
+        <div className="mode-selection-section">
+          <h3>Starts and ends with {pattern.toUpperCase()} ({bothEnds.length})</h3>
+          <div className="words-grid">
+            {bothEnds.map(word => (
+              <div key={word} className="word-chip">{word}</div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PatternDetail;
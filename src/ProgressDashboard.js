@@ -0,0 +1,154 @@
+import React, { useMemo } from 'react';
+import {
+  getStreaks,
+  getAccuracyTrend,
+  getMostMissedWords,
+  getMasteredPatterns,
+  GAME_MODES
+} from './studyHistory';
+
+// "tion_ends" -> "-TION", "pre_starts" -> "PRE-"
+const formatPatternKey = (key) => {
+  const split = key.lastIndexOf('_');
+  const pattern = key.slice(0, split).toUpperCase();
+  return key.slice(split + 1) === 'ends' ? `-${pattern}` : `${pattern}-`;
+};
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+function ProgressDashboard({ history, srsSchedule, onClearHistory }) {
+  const stats = useMemo(() => {
+    const correct = history.reduce((sum, s) => sum + s.correct, 0);
+    const attempts = history.reduce((sum, s) => sum + s.attempts, 0);
+    return {
+      sessions: history.length,
+      timeSpent: history.reduce((sum, s) => sum + s.durationMs, 0),
+      accuracy: attempts > 0 ? Math.round((correct / attempts) * 100) : 0,
+      streaks: getStreaks(history)
+    };
+  }, [history]);
+
+  const trend = useMemo(() => getAccuracyTrend(history), [history]);
+  const missedWords = useMemo(() => getMostMissedWords(history), [history]);
+  const masteredPatterns = useMemo(() => getMasteredPatterns(srsSchedule), [srsSchedule]);
+  const recentSessions = useMemo(() => [...history].reverse().slice(0, 10), [history]);
+
+  if (history.length === 0) {
+    return (
+      <div className="progress-mode">
+        <div className="no-patterns-message">
+          No study sessions yet. Finish a Learn session to start tracking your progress!
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="progress-mode">
+      <div className="progress-summary">
+        <div className="summary-card">
+          <span className="summary-value">{stats.sessions}</span>
+          <span className="summary-label">Sessions</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-value">{stats.accuracy}%</span>
+          <span className="summary-label">Overall Accuracy</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-value">🔥 {stats.streaks.current}</span>
+          <span className="summary-label">Day Streak (best {stats.streaks.longest})</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-value">{formatDuration(stats.timeSpent)}</span>
+          <span className="summary-label">Time Studied</span>
+        </div>
+      </div>
+
+      <div className="mode-selection-section">
+        <h3>Accuracy - Last 14 Days</h3>
+        <div className="trend-chart">
+          {trend.map(day => (
+            <div key={day.day} className="trend-column" title={`${day.day}: ${day.attempts} attempts`}>
+              <div className="trend-bar-track">
+                {day.accuracy !== null && (
+                  <div className="trend-bar" style={{ height: `${Math.round(day.accuracy * 100)}%` }} />
+                )}
+              </div>
+              <span className="trend-label">{day.day.slice(5)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="mode-selection-section">
+        <h3>Mastered Patterns ({masteredPatterns.length})</h3>
+        {masteredPatterns.length > 0 ? (
+          <div className="words-grid">
+            {masteredPatterns.map(key => (
+              <div key={key} className="word-chip correct">{formatPatternKey(key)}</div>
+            ))}
+          </div>
+        ) : (
+          <p className="helper-text">Patterns you keep getting right for three weeks show up here.</p>
+        )}
+      </div>
+
+      <div className="mode-selection-section">
+        <h3>Most Missed Words</h3>
+        {missedWords.length > 0 ? (
+          <div className="words-grid">
+            {missedWords.map(({ word, count }) => (
+              <div key={word} className="word-chip incorrect">{word} ×{count}</div>
+            ))}
+          </div>
+        ) : (
+          <p className="helper-text">No missed words yet. Nice!</p>
+        )}
+      </div>
+
+      <div className="mode-selection-section">
+        <h3>Recent Sessions</h3>
+        <table className="history-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Mode</th>
+              <th>Patterns</th>
+              <th>Found</th>
+              <th>Missed</th>
+              <th>Hints</th>
+              <th>Accuracy</th>
+              <th>Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recentSessions.map(session => (
+              <tr key={session.id}>
+                <td>{new Date(session.date).toLocaleString()}</td>
+                <td>{GAME_MODES[session.mode] || session.mode}</td>
+                <td>{session.patterns.map(formatPatternKey).join(', ')}</td>
+                <td>{session.wordsFound.length}</td>
+                <td>{session.wordsMissed.length}</td>
+                <td>{session.hintsUsed ? session.hintsUsed.length : 0}</td>
+                <td>{Math.round(session.accuracy * 100)}%</td>
+                <td>{formatDuration(session.durationMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="study-controls">
+        <button className="btn btn-secondary" onClick={onClearHistory}>
+          Clear History
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ProgressDashboard;
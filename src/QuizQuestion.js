@@ -0,0 +1,51 @@
+import React from 'react';
+import { isCorrectPick } from './quiz';
+
+// A multiple-choice or real-vs-fake question; options are coloured once picked
+function QuizQuestion({ question, pattern, type, pick, onPick }) {
+  const answered = pick !== null;
+  const patternText = type === 'ends' ? `-${pattern.toUpperCase()}` : `${pattern.toUpperCase()}-`;
+  const choices = question.options
+    ? question.options.map(option => ({ value: option, label: option }))
+    : [{ value: 'real', label: '✓ Real word', shortcut: 'R' }, { value: 'fake', label: '✗ Made up', shortcut: 'F' }];
+
+  const choiceClass = (value) => {
+    if (!answered) return '';
+    if (isCorrectPick(question, value)) return 'correct';
+    return value === pick ? 'incorrect' : 'dimmed';
+  };
+
+  return (
+    <div className="quiz-section">
+      <p className="quiz-prompt">
+        {question.options
+          ? `Which of these is a real word ${type === 'ends' ? 'ending with' : 'starting with'} ${patternText}?`
+          : 'Is this a real word?'}
+      </p>
+      {!question.options && <div className="quiz-word">{question.word}</div>}
+      <div className="quiz-options" role="group" aria-label="Answers">
+        {choices.map(({ value, label, shortcut }, i) => (
+          <button
+            key={value}
+            className={`quiz-option ${choiceClass(value)}`}
+            onClick={() => onPick(value)}
+            disabled={answered}
+            aria-keyshortcuts={shortcut ? `${i + 1} ${shortcut}` : `${i + 1}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {answered && (
+        <p className={`quiz-feedback ${isCorrectPick(question, pick) ? 'correct' : 'incorrect'}`}>
+          {isCorrectPick(question, pick) ? '✓ Correct! ' : '✗ Not quite. '}
+          {question.isReal
+            ? `"${question.word}" is in the dictionary.`
+            : `"${question.word}" is made up.`}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default QuizQuestion;
@@ -0,0 +1,156 @@
+import React from 'react';
+import { RARITY_COUNTS, newTierId } from './rarityTiers';
+
+// Editor for the current dictionary's rarity tiers and learnable-pattern limits.
+// The last tier listed is open-ended; tiers are sorted by their limit when used.
+function RaritySettings({ dictionaryName, settings, onChange, onReset, onClose }) {
+  const { tiers, countBy, learnable } = settings;
+
+  const updateTier = (id, changes) =>
+    onChange({ ...settings, tiers: tiers.map(tier => tier.id === id ? { ...tier, ...changes } : tier) });
+
+  // Whichever tier ends up last stays open-ended
+  const removeTier = (id) => {
+    const remaining = tiers.filter(tier => tier.id !== id);
+    onChange({ ...settings, tiers: remaining.map((tier, i) => i === remaining.length - 1 ? { ...tier, max: null } : tier) });
+  };
+
+  // New tiers go just before the open-ended one
+  const addTier = () => {
+    const bounded = tiers.filter(tier => tier.max !== null);
+    const max = bounded.length > 0 ? Math.max(...bounded.map(tier => tier.max)) * 2 : 10;
+    const tier = { id: newTierId(tiers), name: 'New Tier', max, color: '#8b5cf6' };
+    onChange({ ...settings, tiers: [...tiers.slice(0, -1), tier, ...tiers.slice(-1)] });
+  };
+
+  const updateLearnable = (field, value) => {
+    const number = parseInt(value, 10);
+    const parsed = Number.isFinite(number) && number > 0 ? number : null;
+    // Only the longest length may be left empty (no limit)
+    if (parsed === null && field !== 'maxLength') return;
+    onChange({ ...settings, learnable: { ...learnable, [field]: parsed } });
+  };
+
+  return (
+    <div className="rarity-settings">
+      <div className="rarity-settings-header">
+        <h3>⚙️ Rarity Settings for {dictionaryName}</h3>
+        <button className="btn btn-secondary btn-small" onClick={onClose}>Close</button>
+      </div>
+
+      <h4 className="section-title">Rarity tiers</h4>
+      <p className="helper-text">Rarest first. Each tier holds patterns with up to its word count; the last takes the rest.</p>
+      <div className="tier-list">
+        {tiers.map((tier, i) => {
+          const isLast = i === tiers.length - 1;
+          return (
+            <div key={tier.id} className="tier-row">
+              <input
+                type="color"
+                value={tier.color}
+                onChange={(e) => updateTier(tier.id, { color: e.target.value })}
+                aria-label={`${tier.name} colour`}
+              />
+              <input
+                type="text"
+                className="search-input tier-name"
+                value={tier.name}
+                maxLength={24}
+                onChange={(e) => updateTier(tier.id, { name: e.target.value })}
+                aria-label={`Tier ${i + 1} name`}
+              />
+              {isLast ? (
+                <span className="tier-limit">and above</span>
+              ) : (
+                <label className="tier-limit">
+                  ≤
+                  <input
+                    type="number"
+                    className="search-input tier-max"
+                    min={1}
+                    value={tier.max ?? ''}
+                    onChange={(e) => updateTier(tier.id, { max: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                    aria-label={`${tier.name} highest word count`}
+                  />
+                  words
+                </label>
+              )}
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={() => removeTier(tier.id)}
+                disabled={tiers.length <= 2}
+                aria-label={`Remove ${tier.name}`}
+              >
+                ✕
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <button className="btn btn-secondary btn-small" onClick={addTier}>+ Add Tier</button>
+
+      <h4 className="section-title">Count rarity by</h4>
+      <select
+        className="filter-select"
+        value={countBy}
+        onChange={(e) => onChange({ ...settings, countBy: e.target.value })}
+        aria-label="Count rarity by"
+      >
+        {Object.entries(RARITY_COUNTS).map(([id, name]) => (
+          <option key={id} value={id}>{name}</option>
+        ))}
+      </select>
+
+      <h4 className="section-title">Learnable patterns</h4>
+      <div className="learnable-limits">
+        <div className="learnable-limit">
+          <span>Words</span>
+          <input
+            type="number"
+            className="search-input"
+            min={1}
+            value={learnable.minWords}
+            onChange={(e) => updateLearnable('minWords', e.target.value)}
+            aria-label="Fewest words"
+          />
+          <span>to</span>
+          <input
+            type="number"
+            className="search-input"
+            min={learnable.minWords}
+            value={learnable.maxWords}
+            onChange={(e) => updateLearnable('maxWords', e.target.value)}
+            aria-label="Most words"
+          />
+        </div>
+        <div className="learnable-limit">
+          <span>Letters</span>
+          <input
+            type="number"
+            className="search-input"
+            min={1}
+            value={learnable.minLength}
+            onChange={(e) => updateLearnable('minLength', e.target.value)}
+            aria-label="Shortest pattern"
+          />
+          <span>to</span>
+          <input
+            type="number"
+            className="search-input"
+            min={learnable.minLength}
+            placeholder="any"
+            value={learnable.maxLength ?? ''}
+            onChange={(e) => updateLearnable('maxLength', e.target.value)}
+            aria-label="Longest pattern"
+          />
+        </div>
+      </div>
+
+      <div className="study-controls">
+        <button className="btn btn-secondary" onClick={onReset}>Reset to Defaults</button>
+      </div>
+    </div>
+  );
+}
+
+export default RaritySettings;
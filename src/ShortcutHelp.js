@@ -0,0 +1,52 @@
+import React, { useEffect, useRef } from 'react';
+import { SHORTCUT_GROUPS } from './shortcuts';
+
+// Modal list of keyboard shortcuts. Focus moves into it when it opens and
+// back to where it was when it closes.
+function ShortcutHelp({ onClose }) {
+  const closeButtonRef = useRef(null);
+
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    closeButtonRef.current.focus();
+    return () => {
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+    };
+  }, []);
+
+  return (
+    <div className="shortcut-overlay" onClick={onClose}>
+      <div
+        className="shortcut-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="shortcut-header">
+          <h2 id="shortcut-title">⌨️ Keyboard Shortcuts</h2>
+          <button ref={closeButtonRef} className="btn btn-secondary btn-small" onClick={onClose}>
+            Close (Esc)
+          </button>
+        </div>
+        {SHORTCUT_GROUPS.map(group => (
+          <div key={group.name} className="shortcut-group">
+            <h3>{group.name}</h3>
+            <dl>
+              {group.shortcuts.map(({ keys, action }) => (
+                <div key={action} className="shortcut-row">
+                  <dt>
+                    {keys.map(key => key === '–' ? ' – ' : <kbd key={key}>{key}</kbd>)}
+                  </dt>
+                  <dd>{action}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutHelp;
@@ -0,0 +1,252 @@
+import React, { useState, useMemo, useRef } from 'react';
+import {
+  WEAKEST_DECK_SIZES,
+  createDeck,
+  mergePatternKeys,
+  describeRule,
+  hasMissingTier,
+  deckFile,
+  parseDeckFile
+} from './decks';
+import { downloadFile } from './exportData';
+
+// Saved pattern selections for the current dictionary: save, load, rename,
+// merge, share as files and build smart decks from a rule.
+function StudyDecks({ decks, dictionary, selectedPatterns, tiers, resolve, onSelect, onAddDeck, onUpdateDeck, onDeleteDeck }) {
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name } while renaming
+  const [mergeIds, setMergeIds] = useState([]);
+  const [smartRule, setSmartRule] = useState({ tier: 'all', type: 'ends', match: '' });
+  const [weakestCount, setWeakestCount] = useState(20);
+  const [message, setMessage] = useState('');
+  const fileInputRef = useRef(null);
+
+  // What each deck stands for right now (smart decks change as you study)
+  const resolved = useMemo(() => new Map(decks.map(deck => [deck.id, resolve(deck)])), [decks, resolve]);
+
+  const saveSelection = () => {
+    const deck = createDeck({ name: newName || `Deck ${decks.length + 1}`, dictionary, patterns: selectedPatterns });
+    onAddDeck(deck);
+    setNewName('');
+    setMessage(`Saved "${deck.name}" with ${selectedPatterns.length} patterns.`);
+  };
+
+  const loadDeck = (deck, add) => {
+    const keys = resolved.get(deck.id);
+    onSelect(add ? mergePatternKeys(selectedPatterns, keys) : keys);
+    const missing = deck.rule ? 0 : deck.patterns.length - keys.length;
+    setMessage(`${add ? 'Added' : 'Loaded'} ${keys.length} patterns from "${deck.name}"${missing > 0
+      ? ` (${missing} aren't learnable in this dictionary with the current settings)`
+      : ''}.`);
+  };
+
+  const updateFromSelection = (deck) => {
+    onUpdateDeck(deck.id, { patterns: selectedPatterns });
+    setMessage(`"${deck.name}" now has the ${selectedPatterns.length} selected patterns.`);
+  };
+
+  const finishRename = () => {
+    if (editing.name.trim()) onUpdateDeck(editing.id, { name: editing.name.trim() });
+    setEditing(null);
+  };
+
+  const deleteDeck = (deck) => {
+    if (!window.confirm(`Delete the deck "${deck.name}"?`)) return;
+    onDeleteDeck(deck.id);
+    setMergeIds(prev => prev.filter(id => id !== deck.id));
+  };
+
+  const toggleMerge = (id) =>
+    setMergeIds(prev => prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]);
+
+  const mergeDecks = () => {
+    const picked = decks.filter(deck => mergeIds.includes(deck.id));
+    const patterns = mergePatternKeys(...picked.map(deck => resolved.get(deck.id)));
+    const deck = createDeck({ name: picked.map(d => d.name).join(' + '), dictionary, patterns });
+    onAddDeck(deck);
+    setMergeIds([]);
+    setMessage(`Merged ${picked.length} decks into "${deck.name}" (${patterns.length} patterns).`);
+  };
+
+  const addSmartDeck = (rule) => {
+    const tierName = rule.kind === 'filter' && rule.tier !== 'all' ? tiers.find(t => t.id === rule.tier)?.name : null;
+    const deck = createDeck({ name: describeRule(rule, tierName), dictionary, rule });
+    onAddDeck(deck);
+    setMessage(`Created the smart deck "${deck.name}". It picks its patterns again each time you load it.`);
+  };
+
+  const exportDeck = (deck) => {
+    const slug = deck.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'deck';
+    downloadFile(`goofys-jargon-deck-${slug}.json`, deckFile(deck, resolved.get(deck.id)), 'application/json');
+  };
+
+  const importDeck = async (file) => {
+    try {
+      const deck = parseDeckFile(await file.text(), dictionary);
+      onAddDeck(deck);
+      setMessage(`Imported "${deck.name}".`);
+    } catch (err) {
+      alert(`Couldn't import ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="mode-selection-section study-decks">
+      <h3>🗂️ Study Decks</h3>
+      <div className="deck-save">
+        <input
+          type="text"
+          className="search-input"
+          placeholder="Name for the current selection..."
+          aria-label="Deck name"
+          value={newName}
+          maxLength={60}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && selectedPatterns.length > 0 && saveSelection()}
+        />
+        <button className="btn btn-primary" onClick={saveSelection} disabled={selectedPatterns.length === 0}>
+          💾 Save Selection ({selectedPatterns.length})
+        </button>
+      </div>
+
+      {decks.length > 0 ? (
+        <ul className="deck-list">
+          {decks.map(deck => (
+            <li key={deck.id} className="deck-row">
+              <input
+                type="checkbox"
+                checked={mergeIds.includes(deck.id)}
+                onChange={() => toggleMerge(deck.id)}
+                aria-label={`Pick ${deck.name} for merging`}
+              />
+              {editing?.id === deck.id ? (
+                <input
+                  type="text"
+                  className="search-input deck-name-input"
+                  value={editing.name}
+                  maxLength={60}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && finishRename()}
+                  aria-label="New deck name"
+                  autoFocus
+                />
+              ) : (
+                <span className="deck-name">
+                  {deck.rule && <span className="type-badge smart-badge">smart</span>} {deck.name}
+                </span>
+              )}
+              {hasMissingTier(deck, tiers) && (
+                <span className="type-badge missing-tier-badge" title="Its rarity tier was renamed or removed in Rarity settings">
+                  ⚠️ tier gone
+                </span>
+              )}
+              <span className="deck-count">{resolved.get(deck.id).length} patterns</span>
+              <div className="deck-actions">
+                <button className="btn btn-info btn-small" onClick={() => loadDeck(deck, false)}>Load</button>
+                <button className="btn btn-secondary btn-small" onClick={() => loadDeck(deck, true)}>Add</button>
+                {!deck.rule && (
+                  <button
+                    className="btn btn-secondary btn-small"
+                    onClick={() => updateFromSelection(deck)}
+                    disabled={selectedPatterns.length === 0}
+                    title="Replace this deck's patterns with the current selection"
+                  >
+                    Update
+                  </button>
+                )}
+                {editing?.id === deck.id ? (
+                  <button className="btn btn-secondary btn-small" onClick={finishRename}>Done</button>
+                ) : (
+                  <button className="btn btn-secondary btn-small" onClick={() => setEditing({ id: deck.id, name: deck.name })}>
+                    Rename
+                  </button>
+                )}
+                <button className="btn btn-secondary btn-small" onClick={() => exportDeck(deck)}>Export</button>
+                <button className="btn btn-secondary btn-small" onClick={() => deleteDeck(deck)} aria-label={`Delete ${deck.name}`}>
+                  ✕
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="helper-text">No decks yet. Select some patterns below and save them, or build a smart deck.</p>
+      )}
+      {mergeIds.length >= 2 && (
+        <button className="btn btn-info" onClick={mergeDecks}>
+          Merge {mergeIds.length} Decks into a New Deck
+        </button>
+      )}
+
+      <h4 className="section-title">Smart decks</h4>
+      <div className="smart-deck-builder">
+        <select
+          className="filter-select"
+          value={smartRule.tier}
+          onChange={(e) => setSmartRule({ ...smartRule, tier: e.target.value })}
+          aria-label="Smart deck rarity"
+        >
+          <option value="all">Any rarity</option>
+          {tiers.map(tier => (
+            <option key={tier.id} value={tier.id}>{tier.name}</option>
+          ))}
+        </select>
+        <select
+          className="filter-select"
+          value={smartRule.type}
+          onChange={(e) => setSmartRule({ ...smartRule, type: e.target.value })}
+          aria-label="Smart deck pattern type"
+        >
+          <option value="ends">Endings</option>
+          <option value="starts">Beginnings</option>
+          <option value="all">Both</option>
+        </select>
+        <input
+          type="text"
+          className="search-input"
+          placeholder="Matching (e.g. 'ck')..."
+          aria-label="Smart deck patterns matching"
+          value={smartRule.match}
+          onChange={(e) => setSmartRule({ ...smartRule, match: e.target.value.trim() })}
+        />
+        <button className="btn btn-secondary" onClick={() => addSmartDeck({ kind: 'filter', ...smartRule })}>
+          ✨ Create
+        </button>
+      </div>
+      <div className="smart-deck-builder">
+        <select
+          className="filter-select"
+          value={weakestCount}
+          onChange={(e) => setWeakestCount(parseInt(e.target.value, 10))}
+          aria-label="Number of weakest patterns"
+        >
+          {WEAKEST_DECK_SIZES.map(size => (
+            <option key={size} value={size}>My {size} weakest patterns</option>
+          ))}
+        </select>
+        <button className="btn btn-secondary" onClick={() => addSmartDeck({ kind: 'weakest', count: weakestCount })}>
+          ✨ Create
+        </button>
+      </div>
+
+      <div className="study-controls">
+        <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()}>
+          📥 Import Deck
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          hidden
+          onChange={(e) => {
+            if (e.target.files.length > 0) importDeck(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {message && <p className="helper-text deck-message" role="status">{message}</p>}
+    </div>
+  );
+}
+
+export default StudyDecks;
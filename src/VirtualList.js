@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+
+// Largest index whose offset is at or above y
+const indexAt = (tops, y) => {
+  let low = 0;
+  let high = tops.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (tops[mid] <= y) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// A long list that scrolls with the page but only renders the rows near the
+// viewport. Rows are measured once rendered; until then they are assumed to be
+// `estimatedHeight` tall. `scrollToKey` scrolls to that row the first time it
+// is in the list.
+function VirtualList({ items, getKey, renderItem, estimatedHeight = 64, gap = 12, overscan = 800, scrollToKey = null, className = '' }) {
+  const listRef = useRef(null);
+  const scrolledToRef = useRef(null);
+  const [heights, setHeights] = useState(() => new Map());
+  const [viewport, setViewport] = useState({ top: 0, height: window.innerHeight });
+
+  // Offset of every row from the top of the list, and the list's height
+  const layout = useMemo(() => {
+    const tops = new Array(items.length);
+    let y = 0;
+    items.forEach((item, i) => {
+      tops[i] = y;
+      y += (heights.get(String(getKey(item))) ?? estimatedHeight) + gap;
+    });
+    return { tops, height: Math.max(0, y - gap) };
+  }, [items, getKey, heights, estimatedHeight, gap]);
+
+  // Track which part of the list is on screen
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (!listRef.current) return;
+      setViewport({ top: -listRef.current.getBoundingClientRect().top, height: window.innerHeight });
+    };
+    const schedule = () => {
+      if (frame === null) frame = window.requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, [items]);
+
+  // One observer measures every rendered row
+  const observer = useMemo(() => new ResizeObserver(entries => {
+    setHeights(prev => {
+      let next = prev;
+      entries.forEach(({ target }) => {
+        const key = target.dataset.key;
+        if (prev.get(key) !== target.offsetHeight) {
+          if (next === prev) next = new Map(prev);
+          next.set(key, target.offsetHeight);
+        }
+      });
+      return next;
+    });
+  }), []);
+
+  useEffect(() => () => observer.disconnect(), [observer]);
+
+  const observeRow = useCallback((element) => {
+    if (!element) return undefined;
+    observer.observe(element);
+    return () => observer.unobserve(element);
+  }, [observer]);
+
+  useEffect(() => {
+    if (!scrollToKey || scrolledToRef.current === scrollToKey || !listRef.current) return;
+    const index = items.findIndex(item => getKey(item) === scrollToKey);
+    if (index < 0) return;
+    scrolledToRef.current = scrollToKey;
+    const listTop = listRef.current.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo(0, listTop + layout.tops[index]);
+  }, [scrollToKey, items, getKey, layout]);
+
+  if (items.length === 0) return null;
+  const first = indexAt(layout.tops, viewport.top - overscan);
+  const last = indexAt(layout.tops, viewport.top + viewport.height + overscan);
+
+  return (
+    <div ref={listRef} className={`virtual-list ${className}`} style={{ height: layout.height }}>
+      {items.slice(first, last + 1).map((item, i) => {
+        const key = String(getKey(item));
+        return (
+          <div
+            key={key}
+            ref={observeRow}
+            data-key={key}
+            className="virtual-row"
+            style={{ top: layout.tops[first + i] }}
+          >
+            {renderItem(item, first + i)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default VirtualList;
@@ -0,0 +1,27 @@
+import React from 'react';
+
+// A word chip that reports hover, focus or tap so its definition can be shown.
+// Chips for words without a definition render as plain chips.
+function WordChip({ word, className = '', hasDefinition, onShowDefinition, children }) {
+  if (!hasDefinition) {
+    return <div className={`word-chip ${className}`}>{children || word}</div>;
+  }
+
+  return (
+    <div
+      className={`word-chip has-definition ${className}`}
+      tabIndex={0}
+      role="button"
+      aria-label={`${word} - show definition`}
+      onMouseEnter={() => onShowDefinition(word)}
+      onMouseLeave={() => onShowDefinition(null)}
+      onFocus={() => onShowDefinition(word)}
+      onBlur={() => onShowDefinition(null)}
+      onClick={() => onShowDefinition(word)}
+    >
+      {children || word}
+    </div>
+  );
+}
+
+export default WordChip;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+const MAX_SENSES = 3;
+
+// Definitions, part of speech and example usage from the dictionary's lexicon
+function WordDefinition({ word, senses }) {
+  if (!senses || senses.length === 0) return null;
+
+  return (
+    <div className="word-definition">
+      <span className="definition-word">{word}</span>
+      <ol className="definition-senses">
+        {senses.slice(0, MAX_SENSES).map((sense, i) => (
+          <li key={i}>
+            {sense.pos && <span className="definition-pos">{sense.pos}</span>}
+            {sense.definition}
+            {sense.example && <span className="definition-example">“{sense.example}”</span>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default WordDefinition;
@@ -0,0 +1,46 @@
+import React, { useState, useRef, useCallback } from 'react';
+
+// Drop zone / file picker for plain-text, CSV and JSON word lists
+function WordListImport({ onImport }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFiles = useCallback((files) => {
+    if (files && files.length > 0) onImport(files[0]);
+  }, [onImport]);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  }, [handleFiles]);
+
+  return (
+    <div
+      className={`word-list-import ${isDragging ? 'dragging' : ''}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
+      <button className="btn btn-secondary" onClick={() => fileInputRef.current.click()}>
+        📥 Import Word List
+      </button>
+      <span className="helper-text">or drop a .txt, .csv or .json file here</span>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".txt,.csv,.json,text/plain,text/csv,application/json"
+        hidden
+        onChange={(e) => {
+          handleFiles(e.target.files);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+}
+
+export default WordListImport;
@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { PUZZLE_KINDS, PUZZLE_LEVELS, generatePuzzle, fitsPuzzle, describePuzzle } from './puzzle';
+import WordChip from './WordChip';
+
+// Find every word that starts with one pattern and ends with another, or that
+// fits a crossword-style mask. A new puzzle is made whenever the kind, level or
+// dictionary changes.
+function WordPuzzle({ kind, level, onKindChange, onLevelChange, words, wordIndices, defineWord, onShowDefinition, onAnnounce }) {
+  const [puzzle, setPuzzle] = useState(null);
+  const [guess, setGuess] = useState('');
+  const [found, setFound] = useState(new Set());
+  const [feedback, setFeedback] = useState(null); // { kind, message } for the last guess
+  const [revealed, setRevealed] = useState(false);
+  const [points, setPoints] = useState(0);
+  const [solved, setSolved] = useState(0);
+
+  const newPuzzle = useCallback(() => {
+    setPuzzle(generatePuzzle(words, wordIndices, kind, level));
+    setGuess('');
+    setFound(new Set());
+    setFeedback(null);
+    setRevealed(false);
+  }, [words, wordIndices, kind, level]);
+
+  useEffect(() => {
+    newPuzzle();
+  }, [newPuzzle]);
+
+  const checkGuess = () => {
+    const word = guess.trim().toLowerCase();
+    if (!word || !puzzle) return;
+    let result;
+    if (found.has(word)) {
+      result = { kind: 'repeat', message: `You already found ${word.toUpperCase()}.` };
+    } else if (puzzle.answers.includes(word)) {
+      const nextFound = new Set(found).add(word);
+      setFound(nextFound);
+      setPoints(prev => prev + PUZZLE_LEVELS[puzzle.level].points);
+      if (nextFound.size === puzzle.answers.length) {
+        setSolved(prev => prev + 1);
+        result = { kind: 'correct', message: `✓ ${word.toUpperCase()} - puzzle solved!` };
+      } else {
+        result = { kind: 'correct', message: `✓ ${word.toUpperCase()}` };
+      }
+    } else if (!fitsPuzzle(word, puzzle)) {
+      result = { kind: 'wrong', message: `${word.toUpperCase()} doesn't fit ${describePuzzle(puzzle)}.` };
+    } else {
+      result = { kind: 'wrong', message: `${word.toUpperCase()} fits, but isn't in the dictionary.` };
+    }
+    setFeedback(result);
+    onAnnounce(result.message);
+    setGuess('');
+  };
+
+  const revealAnswers = () => {
+    setRevealed(true);
+    onAnnounce(`The answers were ${puzzle.answers.join(', ')}.`);
+  };
+
+  const finished = puzzle && (revealed || found.size === puzzle.answers.length);
+
+  return (
+    <div className="puzzle-mode">
+      <div className="search-section">
+        <div className="search-controls">
+          <select
+            className="filter-select"
+            value={kind}
+            onChange={(e) => onKindChange(e.target.value)}
+            aria-label="Puzzle type"
+          >
+            {Object.entries(PUZZLE_KINDS).map(([id, name]) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+          </select>
+          <select
+            className="filter-select"
+            value={level}
+            onChange={(e) => onLevelChange(e.target.value)}
+            aria-label="Puzzle level"
+          >
+            {Object.entries(PUZZLE_LEVELS).map(([id, { label, min, max }]) => (
+              <option key={id} value={id}>{label} ({min}-{max} answers)</option>
+            ))}
+          </select>
+          <button className="btn btn-info" onClick={newPuzzle}>
+            🎲 New Puzzle
+          </button>
+        </div>
+        <div className="stats">
+          {points} pts • {solved} puzzle{solved !== 1 ? 's' : ''} solved • Fewer answers make a harder puzzle
+        </div>
+      </div>
+
+      {puzzle ? (
+        <div className="challenge-area">
+          <div className="challenge-card">
+            <div className="challenge-pattern">
+              <span className="challenge-label">
+                {puzzle.mask ? 'Words that fit:' : 'Words starting and ending with:'}
+              </span>
+              {puzzle.mask ? (
+                <span className="puzzle-mask" aria-label={describePuzzle(puzzle)}>
+                  {Array.from(puzzle.mask).map((slot, i) => (
+                    <span key={i} className={`mask-cell ${slot === '_' ? 'blank' : ''}`} aria-hidden="true">
+                      {slot === '_' ? '' : slot.toUpperCase()}
+                    </span>
+                  ))}
+                </span>
+              ) : (
+                <span className="challenge-pattern-text">{describePuzzle(puzzle)}</span>
+              )}
+              <span className="challenge-hint">
+                ({puzzle.answers.length} word{puzzle.answers.length !== 1 ? 's' : ''} • {PUZZLE_LEVELS[puzzle.level].label})
+              </span>
+            </div>
+
+            <div className="answer-section">
+              <div className="found-words-display">
+                <h4>Found Words ({found.size} / {puzzle.answers.length}):</h4>
+                <div className="words-grid">
+                  {puzzle.answers.filter(word => found.has(word) || revealed).map(word => (
+                    <WordChip
+                      key={word}
+                      word={word}
+                      className={found.has(word) ? 'correct' : 'reveal'}
+                      hasDefinition={Boolean(defineWord(word))}
+                      onShowDefinition={onShowDefinition}
+                    >
+                      {found.has(word) ? `✓ ${word}` : word}
+                    </WordChip>
+                  ))}
+                  {found.size === 0 && !revealed && (
+                    <div className="no-words-message">Type words below to find them!</div>
+                  )}
+                </div>
+              </div>
+              {!finished && (
+                <input
+                  type="text"
+                  className="answer-input"
+                  placeholder="Type a word that fits..."
+                  aria-label="Type a word that fits the puzzle"
+                  value={guess}
+                  onChange={(e) => setGuess(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && checkGuess()}
+                  autoFocus
+                />
+              )}
+              {feedback && (
+                <p className={`answer-feedback ${feedback.kind}`}>
+                  {feedback.message}
+                </p>
+              )}
+              <div className="challenge-actions">
+                {!finished && (
+                  <>
+                    <button className="btn btn-primary" onClick={checkGuess}>
+                      Check
+                    </button>
+                    <button className="btn btn-secondary" onClick={revealAnswers}>
+                      Show Answers
+                    </button>
+                  </>
+                )}
+                <button className="btn btn-info" onClick={newPuzzle}>
+                  Next Puzzle →
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="no-patterns-message">
+          No {PUZZLE_LEVELS[level].label.toLowerCase()} puzzle turned up in this dictionary. Try another level, or a new puzzle.
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default WordPuzzle;
@@ -0,0 +1,61 @@
+// Anagram and sub-anagram solving against a word list.
+// A rack is a string of letters where '?' or '_' stands for a blank tile.
+
+export const MAX_RACK_SIZE = 20;
+
+const BLANK = /[?_]/;
+
+export const parseRack = (rack) => {
+  const letters = new Map();
+  let blanks = 0;
+  Array.from(rack.toLowerCase()).forEach(char => {
+    if (BLANK.test(char)) blanks += 1;
+    else if (/\p{L}/u.test(char)) letters.set(char, (letters.get(char) || 0) + 1);
+  });
+  const size = blanks + Array.from(letters.values()).reduce((sum, n) => sum + n, 0);
+  return { letters, blanks, size };
+};
+
+// Positions of `word` that need a blank, or null if the rack can't make it
+const blankPositions = (word, { letters, blanks }) => {
+  const remaining = new Map(letters);
+  const positions = [];
+  const chars = Array.from(word);
+  for (let i = 0; i < chars.length; i++) {
+    const left = remaining.get(chars[i]) || 0;
+    if (left > 0) {
+      remaining.set(chars[i], left - 1);
+    } else {
+      positions.push(i);
+      if (positions.length > blanks) return null;
+    }
+  }
+  return positions;
+};
+
+// Every word of at least minLength letters buildable from the rack, grouped by
+// length (longest first). Each match is { word, blanks: [positions] }.
+export const solveRack = (words, rack, minLength = 2) => {
+  const parsed = parseRack(rack);
+  if (parsed.size === 0) return [];
+
+  const byLength = new Map();
+  const seen = new Set();
+  words.forEach(word => {
+    const lowerWord = word.toLowerCase();
+    if (lowerWord.length < minLength || lowerWord.length > parsed.size || seen.has(lowerWord)) return;
+    const blanks = blankPositions(lowerWord, parsed);
+    if (!blanks) return;
+    seen.add(lowerWord);
+    if (!byLength.has(lowerWord.length)) byLength.set(lowerWord.length, []);
+    byLength.get(lowerWord.length).push({ word: lowerWord, blanks });
+  });
+
+  return Array.from(byLength.entries())
+    .sort((a, b) => b[0] - a[0])
+    .map(([length, matches]) => ({
+      length,
+      // Words that use fewer blanks first, then alphabetically
+      matches: matches.sort((a, b) => a.blanks.length - b.blanks.length || a.word.localeCompare(b.word))
+    }));
+};
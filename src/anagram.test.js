@@ -0,0 +1,35 @@
+import { parseRack, solveRack } from './anagram';
+
+const WORDS = ['tea', 'eat', 'Ate', 'ate', 'tease', 'seat', 'east', 'at', 'a', 'zebra'];
+
+describe('parseRack', () => {
+  it('counts letters and blanks, ignoring anything else', () => {
+    const rack = parseRack('Ea?t_ 1');
+    expect(rack.blanks).toBe(2);
+    expect(Array.from(rack.letters)).toEqual([['e', 1], ['a', 1], ['t', 1]]);
+    expect(rack.size).toBe(5);
+  });
+});
+
+describe('solveRack', () => {
+  it('finds every word the rack can make, longest first, each word once', () => {
+    expect(solveRack(WORDS, 'teas')).toEqual([
+      { length: 4, matches: [{ word: 'east', blanks: [] }, { word: 'seat', blanks: [] }] },
+      { length: 3, matches: [{ word: 'ate', blanks: [] }, { word: 'eat', blanks: [] }, { word: 'tea', blanks: [] }] },
+      { length: 2, matches: [{ word: 'at', blanks: [] }] }
+    ]);
+  });
+
+  it('uses blanks for missing letters and lists words needing fewer blanks first', () => {
+    const [fives] = solveRack(WORDS, 'tase?');
+    expect(fives).toEqual({ length: 5, matches: [{ word: 'tease', blanks: [4] }] });
+    const threes = solveRack(WORDS, 'ta?', 3)[0].matches;
+    expect(threes.map(match => match.word)).toEqual(['ate', 'eat', 'tea']);
+    expect(threes[0].blanks).toEqual([2]);
+  });
+
+  it('respects the minimum length and an empty rack', () => {
+    expect(solveRack(WORDS, 'at', 3)).toEqual([]);
+    expect(solveRack(WORDS, '  ')).toEqual([]);
+  });
+});
@@ -0,0 +1,140 @@
+// Checking answers, with feedback on wrong ones: typos, other forms of a wanted
+// word, real words that don't fit the pattern, and non-words.
+
+const ACCEPT_FORMS_KEY = 'goofys-jargon:accept-forms';
+
+// Share of a word's points for answering with another form of it
+export const FORM_POINTS_SHARE = 0.5;
+
+export const loadAcceptForms = () => {
+  try {
+    return window.localStorage.getItem(ACCEPT_FORMS_KEY) === 'true';
+  } catch (err) {
+    return false;
+  }
+};
+
+export const saveAcceptForms = (accept) => {
+  try {
+    window.localStorage.setItem(ACCEPT_FORMS_KEY, String(accept));
+  } catch (err) {
+    // Choice just won't be remembered
+  }
+};
+
+// Optimal string alignment distance: insertions, deletions, substitutions and
+// swaps of neighbouring letters each cost 1
+export const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos allowed before a guess stops counting as a near miss
+const maxTypos = (word) => word.length <= 4 ? 1 : 2;
+
+// Words that `word` could be an inflection of: bricks -> brick, babies -> baby, hopped -> hop
+export const baseForms = (word) => {
+  const bases = new Set();
+  const strip = (suffix, ...endings) => {
+    if (word.length > suffix.length + 1 && word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      endings.forEach(ending => bases.add(stem + ending));
+      // hopped -> hop, bigger -> big
+      if (stem.length > 2 && stem[stem.length - 1] === stem[stem.length - 2]) bases.add(stem.slice(0, -1));
+    }
+  };
+  strip('s', '');
+  strip('es', '');
+  strip('ies', 'y');
+  strip('ied', 'y');
+  strip('ed', '', 'e');
+  strip('ing', '', 'e');
+  strip('er', '', 'e');
+  strip('est', '', 'e');
+  strip('ly', '');
+  bases.delete(word);
+  return Array.from(bases);
+};
+
+// Why a guess missed. `guesses` are the readings of the answer to check, most
+// likely first; `targets` are the lowercase words still to find. Returns
+// { kind, word, match } where kind is 'form', 'typo', 'real-word' or 'not-a-word'.
+export const diagnoseMiss = (guesses, targets, isValidWord) => {
+  for (const guess of guesses) {
+    const base = baseForms(guess).find(form => targets.includes(form));
+    if (base) return { kind: 'form', word: guess, match: base };
+  }
+
+  const [guess] = guesses;
+  let closest = null;
+  targets.forEach(target => {
+    const distance = editDistance(guess, target);
+    if (distance <= maxTypos(target) && (!closest || distance < closest.distance)) {
+      closest = { target, distance };
+    }
+  });
+  if (closest) return { kind: 'typo', word: guess, match: closest.target };
+
+  const realWord = guesses.find(word => isValidWord(word));
+  if (realWord) return { kind: 'real-word', word: realWord, match: null };
+  return { kind: 'not-a-word', word: guess, match: null };
+};
+
+// Message for a diagnosed miss. `fitsPattern` describes what the answer should
+// do, e.g. 'end with -ICK'; leave it out when practicing a single word.
+export const describeMiss = ({ kind, word, match }, { fitsPattern = null, formAccepted = false } = {}) => {
+  switch (kind) {
+    case 'form':
+      return formAccepted
+        ? `"${word}" counts as a form of "${match}" (${FORM_POINTS_SHARE * 100}% points).`
+        : `"${word}" is a form of "${match}". Try the base word!`;
+    case 'typo':
+      return 'So close! Check your spelling.';
+    case 'real-word':
+      return fitsPattern
+        ? `"${word}" is a real word, but it doesn't ${fitsPattern}.`
+        : `"${word}" is a real word, but not the one you're practicing.`;
+    default:
+      return `"${word}" isn't in the dictionary.`;
+  }
+};
+
+// Word an answer to a pattern challenge stands for: the typed part joined to
+// the pattern, or the answer itself when the whole word was typed
+export const answerWord = (answer, { pattern, type, words }) => {
+  const input = answer.toLowerCase().trim();
+  const lowerPattern = pattern.toLowerCase();
+  const fullWord = type === 'ends' ? input + lowerPattern : lowerPattern + input;
+  const lowerWords = words.map(word => word.toLowerCase());
+  return !lowerWords.includes(fullWord) && lowerWords.includes(input) ? input : fullWord;
+};
+
+// Check an answer to a pattern challenge against the words not yet `taken`.
+// Returns { fullWord, miss, creditedWord, feedback }: creditedWord is the
+// challenge word earned (null for a miss) and feedback is { kind, message }.
+export const judgeAnswer = (answer, challenge, taken, isValidWord, acceptForms) => {
+  const input = answer.toLowerCase().trim();
+  const fullWord = answerWord(answer, challenge);
+  const targets = challenge.words.map(word => word.toLowerCase()).filter(word => !taken.has(word));
+  const miss = targets.includes(fullWord) ? null : diagnoseMiss([fullWord, input], targets, isValidWord);
+  const creditedWord = miss
+    ? (miss.kind === 'form' && acceptForms ? miss.match : null)
+    : fullWord;
+
+  const pattern = challenge.pattern.toUpperCase();
+  const fitsPattern = challenge.type === 'ends' ? `end with -${pattern}` : `start with ${pattern}-`;
+  const feedback = miss
+    ? { kind: creditedWord ? 'correct' : miss.kind, message: describeMiss(miss, { fitsPattern, formAccepted: Boolean(creditedWord) }) }
+    : { kind: 'correct', message: `✓ "${fullWord}" found!` };
+  return { fullWord, miss, creditedWord, feedback };
+};
@@ -0,0 +1,94 @@
+import { answerWord, judgeAnswer, diagnoseMiss, describeMiss, editDistance } from './answerFeedback';
+
+const CHALLENGE = { pattern: 'ick', type: 'ends', words: ['brick', 'trick', 'Thick'] };
+const isValidWord = (word) => ['stone', 'brick', 'trick', 'thick'].includes(word);
+
+describe('answerWord', () => {
+  it('joins the typed part to the pattern', () => {
+    expect(answerWord(' BR ', CHALLENGE)).toBe('brick');
+    expect(answerWord('un', { pattern: 'un', type: 'starts', words: ['undo'] })).toBe('unun');
+    expect(answerWord('do', { pattern: 'un', type: 'starts', words: ['undo'] })).toBe('undo');
+  });
+
+  it('takes the answer as it is when the whole word was typed', () => {
+    expect(answerWord('trick', CHALLENGE)).toBe('trick');
+    expect(answerWord('thick', CHALLENGE)).toBe('thick');
+  });
+});
+
+describe('judgeAnswer', () => {
+  it('credits a challenge word that has not been taken', () => {
+    expect(judgeAnswer('th', CHALLENGE, new Set(), isValidWord, false)).toEqual({
+      fullWord: 'thick',
+      miss: null,
+      creditedWord: 'thick',
+      feedback: { kind: 'correct', message: '✓ "thick" found!' }
+    });
+  });
+
+  it('credits another form of a word only when forms are accepted', () => {
+    const strict = judgeAnswer('bricks', CHALLENGE, new Set(), isValidWord, false);
+    expect(strict.creditedWord).toBeNull();
+    expect(strict.feedback).toEqual({ kind: 'form', message: '"bricks" is a form of "brick". Try the base word!' });
+
+    const lenient = judgeAnswer('bricks', CHALLENGE, new Set(), isValidWord, true);
+    expect(lenient.creditedWord).toBe('brick');
+    expect(lenient.feedback).toEqual({ kind: 'correct', message: '"bricks" counts as a form of "brick" (50% points).' });
+  });
+
+  it('explains real words that miss the pattern and non-words', () => {
+    expect(judgeAnswer('stone', CHALLENGE, new Set(), isValidWord, false).feedback).toEqual({
+      kind: 'real-word',
+      message: '"stone" is a real word, but it doesn\'t end with -ICK.'
+    });
+    expect(judgeAnswer('zzz', CHALLENGE, new Set(), isValidWord, false).feedback).toEqual({
+      kind: 'not-a-word',
+      message: '"zzzick" isn\'t in the dictionary.'
+    });
+  });
+
+  it('does not credit a word that was already taken', () => {
+    const result = judgeAnswer('thick', CHALLENGE, new Set(['thick']), isValidWord, false);
+    expect(result.creditedWord).toBeNull();
+    expect(result.miss).toEqual({ kind: 'typo', word: 'thick', match: 'trick' });
+  });
+});
+
+describe('diagnoseMiss', () => {
+  it('spots inflected forms of a wanted word', () => {
+    expect(diagnoseMiss(['hopped'], ['hop'], () => false)).toEqual({ kind: 'form', word: 'hopped', match: 'hop' });
+    expect(diagnoseMiss(['babies'], ['baby'], () => false)).toEqual({ kind: 'form', word: 'babies', match: 'baby' });
+  });
+
+  it('treats a close spelling as a typo of the nearest word', () => {
+    expect(diagnoseMiss(['thcik'], ['trick', 'thick'], () => false)).toEqual({ kind: 'typo', word: 'thcik', match: 'thick' });
+    expect(diagnoseMiss(['cta'], ['cat'], () => false).kind).toBe('typo');
+    expect(diagnoseMiss(['dgo'], ['cat'], () => false).kind).toBe('not-a-word');
+  });
+
+  it('falls back to the first reading that is a real word', () => {
+    expect(diagnoseMiss(['stoneick', 'stone'], ['brick'], isValidWord)).toEqual({ kind: 'real-word', word: 'stone', match: null });
+  });
+});
+
+describe('describeMiss', () => {
+  it('explains each kind of miss', () => {
+    expect(describeMiss({ kind: 'form', word: 'bricks', match: 'brick' })).toBe('"bricks" is a form of "brick". Try the base word!');
+    expect(describeMiss({ kind: 'form', word: 'bricks', match: 'brick' }, { formAccepted: true }))
+      .toBe('"bricks" counts as a form of "brick" (50% points).');
+    expect(describeMiss({ kind: 'typo', word: 'brikc', match: 'brick' })).toBe('So close! Check your spelling.');
+    expect(describeMiss({ kind: 'real-word', word: 'stone', match: null }, { fitsPattern: 'end with -ICK' }))
+      .toBe('"stone" is a real word, but it doesn\'t end with -ICK.');
+    expect(describeMiss({ kind: 'real-word', word: 'stone', match: null }))
+      .toBe('"stone" is a real word, but not the one you\'re practicing.');
+    expect(describeMiss({ kind: 'not-a-word', word: 'zzick', match: null })).toBe('"zzick" isn\'t in the dictionary.');
+  });
+});
+
+describe('editDistance', () => {
+  it('counts a swap of neighbouring letters as one edit', () => {
+    expect(editDistance('form', 'from')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+});
@@ -0,0 +1,105 @@
+// Named pattern selections for Learn. A deck lists `${pattern}_${type}` keys,
+// or for a smart deck holds a rule that picks the patterns again on every load.
+
+import { getWeakestPatternKeys } from './spacedRepetition';
+
+const STORAGE_KEY = 'goofys-jargon:decks';
+const FILE_FORMAT = 'goofys-jargon-deck';
+const MAX_NAME_LENGTH = 60;
+
+export const WEAKEST_DECK_SIZES = [10, 20, 30, 50];
+
+export const loadDecks = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveDecks = (decks) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(decks));
+  } catch (err) {
+    // Storage full or disabled - decks are kept for this session only
+  }
+};
+
+export const createDeck = ({ name, dictionary, patterns = [], rule = null }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: name.trim().slice(0, MAX_NAME_LENGTH) || 'Untitled deck',
+  dictionary,
+  patterns,
+  rule,
+  updatedAt: new Date().toISOString()
+});
+
+// Every key once, in the order first seen
+export const mergePatternKeys = (...lists) => Array.from(new Set(lists.flat()));
+
+const RULE_TYPES = { ends: 'endings', starts: 'beginnings', all: 'patterns' };
+
+// Name for a smart deck rule, e.g. "Ultra Rare -CK endings" or "20 weakest patterns"
+export const describeRule = (rule, tierName = null) => {
+  if (rule.kind === 'weakest') return `${rule.count} weakest patterns`;
+  const match = rule.match.toUpperCase();
+  const shown = match && { ends: `-${match}`, starts: `${match}-`, all: match }[rule.type];
+  return [tierName || 'All', shown, RULE_TYPES[rule.type]].filter(Boolean).join(' ');
+};
+
+// Pattern keys a deck stands for, limited to patterns learnable in this dictionary.
+// `learnablePatterns` are { pattern, type } entries; `patternTier(pattern)` is the
+// tier id Explore gives a pattern.
+export const resolveDeck = (deck, { learnablePatterns, patternTier, schedule }) => {
+  const available = new Set(learnablePatterns.map(p => `${p.pattern}_${p.type}`));
+  if (!deck.rule) return deck.patterns.filter(key => available.has(key));
+  if (deck.rule.kind === 'weakest') {
+    return getWeakestPatternKeys(schedule, deck.rule.count, key => available.has(key));
+  }
+  const { tier, type, match } = deck.rule;
+  const query = match.toLowerCase();
+  return learnablePatterns
+    .filter(p => type === 'all' || p.type === type)
+    .filter(p => tier === 'all' || patternTier(p.pattern) === tier)
+    .filter(p => !query || (p.type === 'ends' ? p.pattern.endsWith(query) : p.pattern.startsWith(query)))
+    .map(p => `${p.pattern}_${p.type}`);
+};
+
+// Shareable file for a deck. Smart decks keep their rule; `patterns` is what
+// the deck resolved to when exported.
+export const deckFile = (deck, patterns) => JSON.stringify({
+  format: FILE_FORMAT,
+  version: 1,
+  name: deck.name,
+  dictionary: deck.dictionary,
+  patterns,
+  ...(deck.rule ? { rule: deck.rule } : {})
+}, null, 2);
+
+const PATTERN_KEY = /^[^_\s]+_(ends|starts)$/;
+
+const validRule = (rule) =>
+  (rule.kind === 'weakest' && Number.isInteger(rule.count) && rule.count > 0) ||
+  (rule.kind === 'filter' && ['ends', 'starts', 'all'].includes(rule.type) &&
+    typeof rule.tier === 'string' && typeof rule.match === 'string');
+
+// True for a smart deck whose rarity tier has been renamed away or removed
+export const hasMissingTier = (deck, tiers) =>
+  Boolean(deck.rule) && deck.rule.kind === 'filter' && deck.rule.tier !== 'all' &&
+  !tiers.some(tier => tier.id === deck.rule.tier);
+
+// Read a deck file into a new deck for `dictionary`. Throws with a readable message.
+export const parseDeckFile = (text, dictionary) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!data || data.format !== FILE_FORMAT) throw new Error("This isn't a Goofy's Jargon deck file.");
+  const patterns = Array.isArray(data.patterns) ? data.patterns.filter(key => typeof key === 'string' && PATTERN_KEY.test(key)) : [];
+  const rule = data.rule && typeof data.rule === 'object' && validRule(data.rule) ? data.rule : null;
+  if (patterns.length === 0 && !rule) throw new Error('The deck has no patterns.');
+  return createDeck({ name: String(data.name || 'Imported deck'), dictionary, patterns, rule });
+};
@@ -0,0 +1,84 @@
+import { parseDeckFile, resolveDeck, deckFile, describeRule, hasMissingTier, mergePatternKeys } from './decks';
+
+const LEARNABLE = [
+  { pattern: 'ick', type: 'ends' },
+  { pattern: 'ack', type: 'ends' },
+  { pattern: 'un', type: 'starts' },
+  { pattern: 'ack', type: 'starts' }
+];
+const TIERS = { ick: 'rare', ack: 'ultra-rare', un: 'common' };
+const CONTEXT = {
+  learnablePatterns: LEARNABLE,
+  patternTier: (pattern) => TIERS[pattern],
+  schedule: {
+    ick_ends: { ease: 1.5, lapses: 1 },
+    un_starts: { ease: 2.5, lapses: 0 },
+    gone_ends: { ease: 1.3, lapses: 4 }
+  }
+};
+
+const deck = (fields) => ({ id: '1', name: 'Deck', dictionary: 'enable', patterns: [], rule: null, ...fields });
+
+describe('resolveDeck', () => {
+  it('keeps the saved patterns that are learnable here', () => {
+    expect(resolveDeck(deck({ patterns: ['ack_ends', 'gone_ends', 'un_starts'] }), CONTEXT)).toEqual(['ack_ends', 'un_starts']);
+  });
+
+  it('picks patterns by tier, type and letters for a filter rule', () => {
+    const rule = (fields) => deck({ rule: { kind: 'filter', tier: 'all', type: 'all', match: '', ...fields } });
+    expect(resolveDeck(rule({ tier: 'ultra-rare' }), CONTEXT)).toEqual(['ack_ends', 'ack_starts']);
+    expect(resolveDeck(rule({ type: 'ends', match: 'CK' }), CONTEXT)).toEqual(['ick_ends', 'ack_ends']);
+    expect(resolveDeck(rule({ type: 'starts', match: 'a' }), CONTEXT)).toEqual(['ack_starts']);
+    expect(resolveDeck(rule({ tier: 'gone' }), CONTEXT)).toEqual([]);
+  });
+
+  it('picks the weakest learnable patterns for a weakest rule', () => {
+    expect(resolveDeck(deck({ rule: { kind: 'weakest', count: 5 } }), CONTEXT)).toEqual(['ick_ends', 'un_starts']);
+  });
+});
+
+describe('smart deck rules', () => {
+  it('names a rule after what it picks', () => {
+    expect(describeRule({ kind: 'filter', tier: 'ultra-rare', type: 'ends', match: 'ck' }, 'Ultra Rare')).toBe('Ultra Rare -CK endings');
+    expect(describeRule({ kind: 'filter', tier: 'all', type: 'all', match: '' })).toBe('All patterns');
+    expect(describeRule({ kind: 'weakest', count: 20 })).toBe('20 weakest patterns');
+  });
+
+  it('flags a filter rule whose tier no longer exists', () => {
+    const tiers = [{ id: 'rare' }];
+    expect(hasMissingTier(deck({ rule: { kind: 'filter', tier: 'gone', type: 'all', match: '' } }), tiers)).toBe(true);
+    expect(hasMissingTier(deck({ rule: { kind: 'filter', tier: 'rare', type: 'all', match: '' } }), tiers)).toBe(false);
+    expect(hasMissingTier(deck({ rule: { kind: 'filter', tier: 'all', type: 'all', match: '' } }), tiers)).toBe(false);
+    expect(hasMissingTier(deck({ patterns: ['ick_ends'] }), tiers)).toBe(false);
+  });
+});
+
+describe('parseDeckFile', () => {
+  it('reads back an exported deck as a new deck for this dictionary', () => {
+    const rule = { kind: 'filter', tier: 'rare', type: 'ends', match: 'ck' };
+    const imported = parseDeckFile(deckFile(deck({ name: 'Rare -CK', rule }), ['ick_ends']), 'sowpods');
+    expect(imported).toMatchObject({ name: 'Rare -CK', dictionary: 'sowpods', patterns: ['ick_ends'], rule });
+    expect(imported.id).not.toBe('1');
+  });
+
+  it('drops malformed pattern keys and rules', () => {
+    const text = JSON.stringify({
+      format: 'goofys-jargon-deck',
+      patterns: ['ick_ends', 'bad key_ends', 'ack_middle', 7],
+      rule: { kind: 'weakest', count: -2 }
+    });
+    expect(parseDeckFile(text, 'enable')).toMatchObject({ name: 'Imported deck', patterns: ['ick_ends'], rule: null });
+  });
+
+  it('explains why a file is rejected', () => {
+    expect(() => parseDeckFile('{nope', 'enable')).toThrow('The file is not valid JSON.');
+    expect(() => parseDeckFile('{"format":"other"}', 'enable')).toThrow("This isn't a Goofy's Jargon deck file.");
+    expect(() => parseDeckFile('{"format":"goofys-jargon-deck","patterns":[]}', 'enable')).toThrow('The deck has no patterns.');
+  });
+});
+
+describe('mergePatternKeys', () => {
+  it('keeps each key once in first-seen order', () => {
+    expect(mergePatternKeys(['a_ends', 'b_ends'], ['b_ends', 'c_starts'])).toEqual(['a_ends', 'b_ends', 'c_starts']);
+  });
+});
@@ -0,0 +1,200 @@
+// Dictionary registry: named word lists described by public/dictionaries.json.
+// Each entry looks like { id, name, description?, words, version?, patternLengths? }
+// where `words` is a JSON array of words, `version` busts the offline cache when
+// the file changes and `patternLengths` ({ min, max }) limits which starts and
+// endings are analyzed. Imported word lists are stored
+// locally as { id, name, imported: true, words: [...] }.
+
+import { createLookup, wordsInRange, maxInRange } from './wordIndex';
+import { runIndexer } from './indexer';
+
+const MANIFEST_URL = `${process.env.PUBLIC_URL}/dictionaries.json`;
+const SELECTED_KEY = 'goofys-jargon:dictionary';
+const IMPORTED_KEY = 'goofys-jargon:imported-dictionaries';
+const WORD_PATTERN = /^[\p{L}'-]+$/u;
+
+export const DEFAULT_PATTERN_LENGTHS = { min: 2, max: 8 };
+
+// Loaded dictionaries by id, kept as promises so concurrent loads share one fetch
+const cache = new Map();
+const lexiconCache = new Map();
+
+export const loadManifest = async () => {
+  const response = await fetch(MANIFEST_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to load dictionary list (${response.status})`);
+  }
+  return response.json();
+};
+
+export const loadSelectedDictionaryId = () => {
+  try {
+    return window.localStorage.getItem(SELECTED_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveSelectedDictionaryId = (id) => {
+  try {
+    window.localStorage.setItem(SELECTED_KEY, id);
+  } catch (err) {
+    // Selection just won't be remembered
+  }
+};
+
+export const loadImportedDictionaries = () => {
+  try {
+    const stored = window.localStorage.getItem(IMPORTED_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveImportedDictionaries = (imported) => {
+  try {
+    window.localStorage.setItem(IMPORTED_KEY, JSON.stringify(imported));
+  } catch (err) {
+    throw new Error('Not enough local storage to keep this word list');
+  }
+};
+
+// Parse a plain-text, CSV or JSON word list into unique words
+export const parseWordList = (text, fileName = '') => {
+  let entries;
+
+  if (fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text)) {
+    const parsed = JSON.parse(text);
+    // Accept ["word", ...], { words: [...] } or { word: anything, ... }
+    if (Array.isArray(parsed)) entries = parsed;
+    else if (Array.isArray(parsed.words)) entries = parsed.words;
+    else entries = Object.keys(parsed);
+  } else if (fileName.toLowerCase().endsWith('.csv')) {
+    // First column of each row, ignoring a "word" header
+    entries = text.split(/\r?\n/).map(line => line.split(',')[0].replace(/^"|"$/g, ''));
+    if (entries.length > 0 && entries[0].trim().toLowerCase() === 'word') entries.shift();
+  } else {
+    entries = text.split(/\s+/);
+  }
+
+  const words = new Set();
+  entries.forEach(entry => {
+    const word = String(entry).trim().toLowerCase();
+    if (word.length >= 2 && WORD_PATTERN.test(word)) words.add(word);
+  });
+  return Array.from(words).sort();
+};
+
+export const createImportedDictionary = (name, words) => ({
+  id: `imported-${Date.now()}`,
+  name,
+  description: `Imported word list (${words.length} words)`,
+  imported: true,
+  words
+});
+
+// URL of a data file in public/. Files with a version get ?v=, which the service
+// worker caches until the version changes; those without are refreshed in the background.
+export const dictionaryUrl = (file, version) => {
+  const url = new URL(`${process.env.PUBLIC_URL}/${file}`, window.location.href);
+  if (version !== null) url.searchParams.set('v', version);
+  return url.href;
+};
+
+// Turn the indexer's output into the shapes the app uses. Word lists on
+// patterns are read from the index the first time they're needed; the raw
+// ranges stay available for per-pattern aggregates (see patternMax).
+const hydrate = ({ words, index, patterns }, patternLengths) => {
+  const patternsData = patterns.map(({ pattern, length, startsRange, endsRange }) => {
+    const endsCount = endsRange[1] - endsRange[0];
+    const startsCount = startsRange[1] - startsRange[0];
+    let endsWords = null;
+    let startsWords = null;
+    return {
+      pattern,
+      length,
+      endsRange,
+      startsRange,
+      endsCount,
+      startsCount,
+      totalCount: endsCount + startsCount,
+      get endsWords() {
+        if (!endsWords) endsWords = wordsInRange(words, index.bySuffix, endsRange);
+        return endsWords;
+      },
+      get startsWords() {
+        if (!startsWords) startsWords = wordsInRange(words, index.byPrefix, startsRange);
+        return startsWords;
+      }
+    };
+  });
+
+  const wordIndices = {
+    endsMap: createLookup(words, index, 'ends'),
+    startsMap: createLookup(words, index, 'starts')
+  };
+
+  return { words, index, patternLengths, wordIndices, patternsData };
+};
+
+// Load a manifest entry along with its indices and pattern analysis, cached per id.
+// onProgress(stage, percent) is called while the first load is indexing.
+export const loadDictionary = (entry, onProgress = () => {}) => {
+  if (!cache.has(entry.id)) {
+    const patternLengths = { ...DEFAULT_PATTERN_LENGTHS, ...entry.patternLengths };
+    const source = entry.imported
+      ? { words: entry.words }
+      : { url: dictionaryUrl(entry.words, entry.version ?? null) };
+    const pending = runIndexer({ ...source, patternLengths }, onProgress)
+      .then(result => ({ id: entry.id, ...hydrate(result, patternLengths) }));
+
+    // Don't cache failures so the user can retry
+    pending.catch(() => cache.delete(entry.id));
+    cache.set(entry.id, pending);
+  }
+  return cache.get(entry.id);
+};
+
+export const forgetDictionary = (id) => {
+  cache.delete(id);
+  lexiconCache.delete(id);
+};
+
+// A lexicon maps words to a sense { pos, definition, example }, a list of
+// senses, or just a definition string. Lookups are by lowercased word.
+const normalizeLexicon = (raw) => {
+  const lexicon = new Map();
+  Object.entries(raw).forEach(([word, value]) => {
+    const senses = (Array.isArray(value) ? value : [value])
+      .map(sense => typeof sense === 'string' ? { definition: sense } : sense)
+      .filter(sense => sense && sense.definition);
+    if (senses.length > 0) lexicon.set(word.toLowerCase(), senses);
+  });
+  return lexicon;
+};
+
+// Load the optional lexicon named by a manifest entry, cached per id.
+// Resolves to null for dictionaries without one.
+export const loadLexicon = (entry) => {
+  if (!entry.lexicon) return Promise.resolve(null);
+  if (!lexiconCache.has(entry.id)) {
+    // Lexicons have their own version so definitions can change without re-indexing the words
+    const pending = fetch(dictionaryUrl(entry.lexicon, entry.lexiconVersion ?? null))
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load lexicon (${response.status})`);
+        return response.json();
+      })
+      .then(normalizeLexicon);
+
+    pending.catch(() => lexiconCache.delete(entry.id));
+    lexiconCache.set(entry.id, pending);
+  }
+  return lexiconCache.get(entry.id);
+};
+
+// Largest of values[wordId] over the words that start or end with a pattern
+export const patternMax = (dictionaryData, pattern, values) => Math.max(
+  maxInRange(dictionaryData.index.bySuffix, pattern.endsRange, values),
+  maxInRange(dictionaryData.index.byPrefix, pattern.startsRange, values)
+);
@@ -0,0 +1,38 @@
+import { parseWordList, dictionaryUrl } from './dictionaries';
+
+jest.mock('./indexer', () => ({ runIndexer: jest.fn() }));
+
+describe('parseWordList', () => {
+  it('reads one word per line or space from plain text', () => {
+    expect(parseWordList('Brick\ntrick  thick\r\nbrick\n', 'words.txt')).toEqual(['brick', 'thick', 'trick']);
+  });
+
+  it('reads the first column of a CSV file, skipping a header', () => {
+    expect(parseWordList('word,count\n"brick",3\ntrick,1\n', 'words.csv')).toEqual(['brick', 'trick']);
+  });
+
+  it('reads word arrays, { words } objects and word-keyed objects from JSON', () => {
+    expect(parseWordList('["trick", "brick"]', 'list.json')).toEqual(['brick', 'trick']);
+    expect(parseWordList('{ "words": ["undo"] }')).toEqual(['undo']);
+    expect(parseWordList('{ "zebra": 1, "yak": { "pos": "noun" } }', 'lexicon.json')).toEqual(['yak', 'zebra']);
+  });
+
+  it('keeps letters, apostrophes and hyphens only, and at least two of them', () => {
+    expect(parseWordList("don't x-ray café a 42 c3po", 'words.txt')).toEqual(['café', "don't", 'x-ray']);
+  });
+
+  it('throws on broken JSON', () => {
+    expect(() => parseWordList('[oops', 'list.json')).toThrow();
+  });
+});
+
+describe('dictionaryUrl', () => {
+  it('adds the version so the service worker can cache the file until it changes', () => {
+    expect(dictionaryUrl('words/enable.json', 3)).toBe('http://localhost/words/enable.json?v=3');
+    expect(dictionaryUrl('words/enable.json', '2024-05')).toBe('http://localhost/words/enable.json?v=2024-05');
+  });
+
+  it('leaves unversioned files without ?v= so they are refreshed in the background', () => {
+    expect(dictionaryUrl('lexicons/enable.json', null)).toBe('http://localhost/lexicons/enable.json');
+  });
+});
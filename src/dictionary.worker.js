@@ -0,0 +1,30 @@
+/* eslint-disable no-restricted-globals */
+// Builds the word index and pattern analysis off the main thread.
+// Receives { url } or { words } plus patternLengths, and posts
+// { type: 'progress', stage, percent } messages followed by
+// { type: 'done', words, index, patterns } or { type: 'error', message }.
+import { buildDictionaryData } from './wordIndex';
+
+self.onmessage = async ({ data }) => {
+  const report = (stage, percent) => self.postMessage({ type: 'progress', stage, percent });
+
+  try {
+    let { words } = data;
+    if (!words) {
+      report('Downloading', 0);
+      const response = await fetch(data.url);
+      if (!response.ok) {
+        throw new Error(`Failed to load dictionary (${response.status})`);
+      }
+      words = await response.json();
+    }
+
+    const result = buildDictionaryData(words, data.patternLengths, report);
+    self.postMessage(
+      { type: 'done', ...result },
+      [result.index.byPrefix.buffer, result.index.bySuffix.buffer]
+    );
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,113 @@
+// Exporting patterns and word lists as CSV, JSON or an Anki-importable deck.
+// Every export is a list of rows: { pattern, type, count, rarity, words }
+// where type is 'ends', 'starts' or 'match' (a word-search group).
+
+import { wordsInRange } from './wordIndex';
+
+// Very common patterns have thousands of words; exports keep a sample
+export const MAX_EXPORT_WORDS = 100;
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+  anki: { label: 'Anki', extension: 'txt', mime: 'text/plain' }
+};
+
+// Rows for Explore pattern objects, one per side that has words. Reads the
+// index directly so the patterns' cached word lists aren't all filled in.
+export const explorePatternRows = (patterns, dictionaryData, getRarityClass, maxWords = MAX_EXPORT_WORDS) => {
+  const { words, index } = dictionaryData;
+  const rows = [];
+  patterns.forEach(p => {
+    [
+      { type: 'ends', range: p.endsRange, order: index.bySuffix },
+      { type: 'starts', range: p.startsRange, order: index.byPrefix }
+    ].forEach(({ type, range: [start, end], order }) => {
+      const count = end - start;
+      if (count === 0) return;
+      rows.push({
+        pattern: p.pattern,
+        type,
+        count,
+        rarity: getRarityClass(count),
+        words: wordsInRange(words, order, [start, Math.min(end, start + maxWords)])
+      });
+    });
+  });
+  return rows;
+};
+
+// Rows for word-search groups ({ key, words, count })
+export const wordGroupRows = (groups, getRarityClass, maxWords = MAX_EXPORT_WORDS) =>
+  groups.map(group => ({
+    pattern: group.key,
+    type: 'match',
+    count: group.count,
+    rarity: getRarityClass(group.count),
+    words: group.words.slice(0, maxWords)
+  }));
+
+// Rows for Learn patterns ({ pattern, type, count, words }); pass `onlyWords`
+// to keep just those words, e.g. the ones missed in a session
+export const learnPatternRows = (patterns, getRarityClass, onlyWords = null) =>
+  patterns
+    .map(p => ({
+      pattern: p.pattern,
+      type: p.type,
+      count: p.count,
+      rarity: getRarityClass(p.count),
+      words: onlyWords ? p.words.filter(word => onlyWords.has(word.toLowerCase())) : p.words
+    }))
+    .filter(row => !onlyWords || row.words.length > 0);
+
+const formatPattern = ({ pattern, type }) => {
+  if (type === 'ends') return `-${pattern.toUpperCase()}`;
+  if (type === 'starts') return `${pattern.toUpperCase()}-`;
+  return pattern.toUpperCase();
+};
+
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (rows) => [
+  'pattern,type,count,rarity,words',
+  ...rows.map(row => [row.pattern, row.type, row.count, row.rarity, row.words.join(' ')].map(csvField).join(','))
+].join('\n');
+
+export const toJSON = (rows, dictionary) =>
+  JSON.stringify({ dictionary, exportedAt: new Date().toISOString(), patterns: rows }, null, 2);
+
+// Tab-separated notes with Anki's import headers: front, back, tags
+export const toAnki = (rows, dictionary) => {
+  const clean = (text) => String(text).replace(/[\t\r\n]+/g, ' ');
+  const typeLabel = { ends: 'ending', starts: 'beginning', match: 'word search' };
+  return [
+    '#separator:tab',
+    '#html:true',
+    '#tags column:3',
+    ...rows.map(row => [
+      clean(`${formatPattern(row)}<br><small>${typeLabel[row.type]} • ${row.count} word${row.count !== 1 ? 's' : ''}</small>`),
+      clean(row.words.join(', ')),
+      clean(['goofys-jargon', dictionary, row.type, row.rarity].filter(Boolean).join(' '))
+    ].join('\t'))
+  ].join('\n');
+};
+
+export const formatRows = (format, rows, dictionary) => {
+  if (format === 'csv') return toCSV(rows);
+  if (format === 'json') return toJSON(rows, dictionary);
+  return toAnki(rows, dictionary);
+};
+
+export const downloadFile = (fileName, content, mime) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
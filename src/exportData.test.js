@@ -0,0 +1,65 @@
+import { explorePatternRows, wordGroupRows, learnPatternRows, toCSV, toJSON, toAnki } from './exportData';
+import { buildDictionaryData } from './wordIndex';
+
+const rarityOf = (count) => (count <= 2 ? 'rare' : 'common');
+
+const ROWS = [
+  { pattern: 'ick', type: 'ends', count: 3, rarity: 'common', words: ['brick', 'trick', 'thick'] },
+  { pattern: 'c?ck', type: 'match', count: 1, rarity: 'rare', words: ['cock, "the bird"'] }
+];
+
+describe('export rows', () => {
+  it('makes a row for each side of an Explore pattern that has words', () => {
+    const dictionaryData = buildDictionaryData(['brick', 'trick', 'icky', 'ickle'], { min: 3, max: 3 });
+    const ick = dictionaryData.patterns.find(p => p.pattern === 'ick');
+    expect(explorePatternRows([ick], dictionaryData, rarityOf)).toEqual([
+      { pattern: 'ick', type: 'ends', count: 2, rarity: 'rare', words: ['brick', 'trick'] },
+      { pattern: 'ick', type: 'starts', count: 2, rarity: 'rare', words: ['icky', 'ickle'] }
+    ]);
+    expect(explorePatternRows([ick], dictionaryData, rarityOf, 1)[0].words).toEqual(['brick']);
+  });
+
+  it('makes rows for word-search groups', () => {
+    expect(wordGroupRows([{ key: 'c?ck', words: ['cock', 'cuck'], count: 2 }], rarityOf, 1)).toEqual([
+      { pattern: 'c?ck', type: 'match', count: 2, rarity: 'rare', words: ['cock'] }
+    ]);
+  });
+
+  it('keeps only the given words of Learn patterns, dropping patterns left empty', () => {
+    const patterns = [
+      { pattern: 'ick', type: 'ends', count: 3, words: ['brick', 'Trick', 'thick'] },
+      { pattern: 'un', type: 'starts', count: 2, words: ['undo', 'unit'] }
+    ];
+    expect(learnPatternRows(patterns, rarityOf)).toHaveLength(2);
+    expect(learnPatternRows(patterns, rarityOf, new Set(['trick']))).toEqual([
+      { pattern: 'ick', type: 'ends', count: 3, rarity: 'common', words: ['Trick'] }
+    ]);
+  });
+});
+
+describe('formats', () => {
+  it('writes CSV, quoting fields that need it', () => {
+    expect(toCSV(ROWS)).toBe([
+      'pattern,type,count,rarity,words',
+      'ick,ends,3,common,brick trick thick',
+      'c?ck,match,1,rare,"cock, ""the bird"""'
+    ].join('\n'));
+  });
+
+  it('writes JSON with the dictionary and rows', () => {
+    const data = JSON.parse(toJSON(ROWS, 'enable'));
+    expect(data.dictionary).toBe('enable');
+    expect(data.patterns).toEqual(ROWS);
+    expect(Number.isNaN(Date.parse(data.exportedAt))).toBe(false);
+  });
+
+  it('writes tab-separated Anki notes with tags', () => {
+    const lines = toAnki([ROWS[0]], 'enable').split('\n');
+    expect(lines.slice(0, 3)).toEqual(['#separator:tab', '#html:true', '#tags column:3']);
+    expect(lines[3].split('\t')).toEqual([
+      '-ICK<br><small>ending • 3 words</small>',
+      'brick, trick, thick',
+      'goofys-jargon enable ends common'
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+// Graded hints for Find Words. Each hint is about one missing word and gets
+// more specific (and costs more of that word's points) at every level.
+
+export const HINT_LEVELS = [
+  { id: 'length', name: 'Word length', penalty: 0.25, quality: 4 },
+  { id: 'first', name: 'First letter', penalty: 0.5, quality: 3 },
+  { id: 'mask', name: 'Masked letters', penalty: 0.75, quality: 3 },
+  { id: 'reveal', name: 'Reveal the word', penalty: 1, quality: 1 }
+];
+
+const VOWELS = /[aeiouy]/;
+
+// The part of the word the player has to type
+const stemOf = (word, pattern, type) =>
+  type === 'ends' ? word.slice(0, word.length - pattern.length) : word.slice(pattern.length);
+
+// Points left after a hint at `level` (-1 for no hint)
+export const hintedPoints = (points, level) =>
+  level < 0 ? points : Math.round(points * (1 - HINT_LEVELS[level].penalty));
+
+// Spaced-repetition grade for a word found after a hint at `level`
+export const hintedQuality = (level) => level < 0 ? 5 : HINT_LEVELS[level].quality;
+
+// Vowels shown, consonants hidden: "_ _ a _" (or the first letter if there are no vowels)
+const maskStem = (stem) => {
+  const letters = Array.from(stem);
+  const anyVowel = letters.some(char => VOWELS.test(char));
+  return letters
+    .map((char, i) => (anyVowel ? VOWELS.test(char) : i === 0) ? char : '_')
+    .join(' ');
+};
+
+// Text for a hint at `level` about `word`
+export const describeHint = (word, pattern, type, level) => {
+  const lowerWord = word.toLowerCase();
+  const stem = stemOf(lowerWord, pattern, type);
+  const upperPattern = pattern.toUpperCase();
+  // The word may be the pattern itself, leaving nothing to type
+  if (!stem && ['first', 'mask'].includes(HINT_LEVELS[level].id)) {
+    return `It's the pattern itself: just ${upperPattern}`;
+  }
+  switch (HINT_LEVELS[level].id) {
+    case 'length':
+      return `A ${lowerWord.length}-letter word (you type ${stem.length} letter${stem.length !== 1 ? 's' : ''})`;
+    case 'first':
+      return type === 'ends'
+        ? `Starts with "${stem[0].toUpperCase()}", ${lowerWord.length} letters`
+        : `${upperPattern} + "${stem[0].toUpperCase()}…", ${lowerWord.length} letters`;
+    case 'mask':
+      return type === 'ends' ? `${maskStem(stem)} + ${upperPattern}` : `${upperPattern} + ${maskStem(stem)}`;
+    default:
+      return `The word was "${lowerWord}"`;
+  }
+};
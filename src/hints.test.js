@@ -0,0 +1,31 @@
+import { HINT_LEVELS, describeHint, hintedPoints, hintedQuality } from './hints';
+
+const level = (id) => HINT_LEVELS.findIndex(hint => hint.id === id);
+
+describe('describeHint', () => {
+  it('gives the first letter of the part to type', () => {
+    expect(describeHint('brick', 'ick', 'ends', level('first'))).toBe('Starts with "B", 5 letters');
+    expect(describeHint('unable', 'un', 'starts', level('first'))).toBe('UN + "A…", 6 letters');
+  });
+
+  it('masks consonants of the part to type', () => {
+    expect(describeHint('unable', 'un', 'starts', level('mask'))).toBe('UN + a _ _ e');
+  });
+
+  it('handles a word that is the pattern itself', () => {
+    ['first', 'mask'].forEach(id => {
+      expect(describeHint('ohm', 'ohm', 'ends', level(id))).toBe("It's the pattern itself: just OHM");
+      expect(describeHint('Ohm', 'ohm', 'starts', level(id))).toBe("It's the pattern itself: just OHM");
+    });
+    expect(describeHint('ohm', 'ohm', 'ends', level('length'))).toBe('A 3-letter word (you type 0 letters)');
+  });
+});
+
+describe('hint scoring', () => {
+  it('takes away part of the points at each level', () => {
+    expect(hintedPoints(8, -1)).toBe(8);
+    expect(hintedPoints(8, level('first'))).toBe(4);
+    expect(hintedPoints(8, level('reveal'))).toBe(0);
+    expect(hintedQuality(-1)).toBe(5);
+  });
+});
@@ -0,0 +1,40 @@
+// Runs the dictionary indexer (see dictionary.worker.js) off the main thread.
+// Kept out of dictionaries.js so that module can be unit tested: jest can't
+// parse the import.meta worker URL.
+
+import { buildDictionaryData } from './wordIndex';
+
+// Run the indexer in a Web Worker, or inline where workers aren't available
+export const runIndexer = (message, onProgress) => {
+  if (typeof Worker === 'undefined') {
+    return (async () => {
+      let { words } = message;
+      if (!words) {
+        const response = await fetch(message.url);
+        if (!response.ok) {
+          throw new Error(`Failed to load dictionary (${response.status})`);
+        }
+        words = await response.json();
+      }
+      return buildDictionaryData(words, message.patternLengths, onProgress);
+    })();
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./dictionary.worker.js', import.meta.url));
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data.stage, data.percent);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') resolve(data);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Dictionary worker failed'));
+    };
+    worker.postMessage(message);
+  });
+};
@@ -0,0 +1,90 @@
+// Pass-and-play rounds for 2-6 players sharing one device. Each round is a
+// pattern from the Learn selection; players take turns claiming its words and
+// a word can only be claimed once.
+
+const PLAYERS_KEY = 'goofys-jargon:party-players';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+export const ROUND_COUNTS = [3, 5, 8, 10];
+
+export const DEFAULT_PARTY = {
+  players: ['Player 1', 'Player 2'],
+  rounds: 5
+};
+
+export const loadPartySettings = () => {
+  try {
+    const stored = window.localStorage.getItem(PLAYERS_KEY);
+    return stored ? { ...DEFAULT_PARTY, ...JSON.parse(stored) } : DEFAULT_PARTY;
+  } catch (err) {
+    return DEFAULT_PARTY;
+  }
+};
+
+export const savePartySettings = (settings) => {
+  try {
+    window.localStorage.setItem(PLAYERS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    // Players just won't be remembered
+  }
+};
+
+// Names to play with: blank names get a number, repeated names a suffix
+export const playerNames = (names) => {
+  const used = new Set();
+  return names.map((name, i) => {
+    const base = name.trim() || `Player ${i + 1}`;
+    let unique = base;
+    for (let n = 2; used.has(unique); n++) unique = `${base} (${n})`;
+    used.add(unique);
+    return unique;
+  });
+};
+
+// Pattern keys for `rounds` rounds: the selection in random order, starting
+// over when there are more rounds than patterns
+export const drawRounds = (patternKeys, rounds, random = Math.random) => {
+  const drawn = [];
+  while (drawn.length < rounds && patternKeys.length > 0) {
+    const deck = [...patternKeys];
+    for (let i = deck.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+    drawn.push(...deck.slice(0, rounds - drawn.length));
+  }
+  return drawn;
+};
+
+// Whoever starts a round moves one seat along each round
+export const firstTurn = (round, playerCount) => round % playerCount;
+
+// Players best first as { name, score, words, place }, from the claimed
+// words { word, player, points }; tied scores share a place
+export const standings = (players, claims) => {
+  const sorted = players
+    .map((name, i) => {
+      const own = claims.filter(claim => claim.player === i);
+      return { name, score: own.reduce((sum, claim) => sum + claim.points, 0), words: own.length };
+    })
+    .sort((a, b) => b.score - a.score || b.words - a.words);
+  let place = 0;
+  return sorted.map((entry, i) => {
+    if (i === 0 || entry.score !== sorted[i - 1].score) place = i + 1;
+    return { ...entry, place };
+  });
+};
+
+// Words claimed and left unclaimed in the first `roundsPlayed` rounds, for
+// study history and spaced repetition: [{ challenge, claimed, unclaimed }]
+export const roundResults = (challenges, claims, roundsPlayed) =>
+  challenges.slice(0, roundsPlayed).map((challenge, round) => {
+    const claimed = new Set(claims.filter(claim => claim.round === round).map(claim => claim.word));
+    const words = Array.from(new Set(challenge.words.map(word => word.toLowerCase())));
+    return {
+      challenge,
+      claimed: words.filter(word => claimed.has(word)),
+      unclaimed: words.filter(word => !claimed.has(word))
+    };
+  });
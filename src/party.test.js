@@ -0,0 +1,73 @@
+import { drawRounds, standings, playerNames, firstTurn, roundResults } from './party';
+
+// Deterministic stand-in for Math.random
+const sequence = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+describe('drawRounds', () => {
+  it('draws each selected pattern once before repeating any', () => {
+    const keys = ['a_ends', 'b_ends', 'c_starts'];
+    const drawn = drawRounds(keys, 8, sequence(0.1, 0.7, 0.4));
+    expect(drawn).toHaveLength(8);
+    expect(new Set(drawn.slice(0, 3))).toEqual(new Set(keys));
+    expect(new Set(drawn.slice(3, 6))).toEqual(new Set(keys));
+    expect(keys).toEqual(['a_ends', 'b_ends', 'c_starts']);
+  });
+
+  it('draws fewer rounds than patterns without repeats', () => {
+    const drawn = drawRounds(['a_ends', 'b_ends', 'c_starts', 'd_starts'], 3);
+    expect(new Set(drawn).size).toBe(3);
+  });
+
+  it('draws nothing without patterns', () => {
+    expect(drawRounds([], 5)).toEqual([]);
+  });
+});
+
+describe('standings', () => {
+  const players = ['Ann', 'Bo', 'Cy', 'Di'];
+
+  it('ranks by score, then words, and lets tied scores share a place', () => {
+    const claims = [
+      { word: 'brick', player: 1, points: 10 },
+      { word: 'trick', player: 2, points: 6 },
+      { word: 'thick', player: 2, points: 4 },
+      { word: 'slick', player: 0, points: 7 }
+    ];
+    expect(standings(players, claims)).toEqual([
+      { name: 'Cy', score: 10, words: 2, place: 1 },
+      { name: 'Bo', score: 10, words: 1, place: 1 },
+      { name: 'Ann', score: 7, words: 1, place: 3 },
+      { name: 'Di', score: 0, words: 0, place: 4 }
+    ]);
+  });
+});
+
+describe('players', () => {
+  it('fills in blank names and tells repeated ones apart', () => {
+    expect(playerNames(['Ann', ' ', 'Ann', 'Ann'])).toEqual(['Ann', 'Player 2', 'Ann (2)', 'Ann (3)']);
+  });
+
+  it('moves the first turn one seat along each round', () => {
+    expect([0, 1, 2, 3].map(round => firstTurn(round, 3))).toEqual([0, 1, 2, 0]);
+  });
+});
+
+describe('roundResults', () => {
+  it('splits each played round into claimed and unclaimed words', () => {
+    const challenges = [
+      { pattern: 'ick', type: 'ends', words: ['brick', 'Trick', 'trick'] },
+      { pattern: 'un', type: 'starts', words: ['undo', 'unit'] }
+    ];
+    const claims = [
+      { word: 'trick', player: 0, round: 0, points: 7 },
+      { word: 'undo', player: 1, round: 1, points: 5 }
+    ];
+    expect(roundResults(challenges, claims, 1)).toEqual([
+      { challenge: challenges[0], claimed: ['trick'], unclaimed: ['brick'] }
+    ]);
+    expect(roundResults(challenges, claims, 2)[1]).toEqual({ challenge: challenges[1], claimed: ['undo'], unclaimed: ['unit'] });
+  });
+});
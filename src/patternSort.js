@@ -0,0 +1,54 @@
+// Sort orders and letter groupings for the Explore pattern list. patternsData
+// arrives rarest first, so 'rarity' keeps it as it is.
+
+export const SORT_ORDERS = {
+  rarity: 'Rarest First',
+  score: 'Highest-Scoring Words',
+  alpha: 'A to Z',
+  reverse: 'Rhyming Order (by ending)',
+  ratio: 'Most Endings vs Starts',
+  length: 'Longest First',
+  lopsided: 'Most Lopsided'
+};
+
+export const GROUPINGS = {
+  none: 'No Grouping',
+  first: 'Group by First Letter',
+  last: 'Group by Last Letter'
+};
+
+const reversed = (text) => Array.from(text).reverse().join('');
+
+// Share of a pattern's words on its bigger side: 1 when it only ends or only starts words
+const lopsidedness = (p) => Math.max(p.endsCount, p.startsCount) / (p.endsCount + p.startsCount);
+
+// Compare functions; ties keep the rarest-first order since Array.sort is stable
+const COMPARE = {
+  alpha: (a, b) => a.pattern.localeCompare(b.pattern),
+  reverse: (a, b) => reversed(a.pattern).localeCompare(reversed(b.pattern)),
+  ratio: (a, b) => (b.endsCount + 1) / (b.startsCount + 1) - (a.endsCount + 1) / (a.startsCount + 1),
+  length: (a, b) => b.length - a.length,
+  lopsided: (a, b) => lopsidedness(b) - lopsidedness(a) || b.totalCount - a.totalCount
+};
+
+// `topScores` maps pattern -> best word score and is only needed for 'score'
+export const sortPatterns = (patterns, order, topScores = null) => {
+  if (order === 'score') {
+    return topScores ? [...patterns].sort((a, b) => topScores.get(b.pattern) - topScores.get(a.pattern)) : patterns;
+  }
+  return COMPARE[order] ? [...patterns].sort(COMPARE[order]) : patterns;
+};
+
+// Split a sorted list into [{ letter, patterns }] in letter order, keeping the sort within each group
+export const groupPatterns = (patterns, grouping) => {
+  if (!GROUPINGS[grouping] || grouping === 'none') return [{ letter: null, patterns }];
+  const groups = new Map();
+  patterns.forEach(p => {
+    const letters = Array.from(p.pattern);
+    const letter = (grouping === 'first' ? letters[0] : letters[letters.length - 1]).toUpperCase();
+    if (!groups.has(letter)) groups.set(letter, []);
+    groups.get(letter).push(p);
+  });
+  return Array.from(groups, ([letter, grouped]) => ({ letter, patterns: grouped }))
+    .sort((a, b) => a.letter.localeCompare(b.letter));
+};
@@ -0,0 +1,60 @@
+import { sortPatterns, groupPatterns } from './patternSort';
+
+const pattern = (name, endsCount, startsCount) => ({
+  pattern: name,
+  length: name.length,
+  endsCount,
+  startsCount,
+  totalCount: endsCount + startsCount
+});
+
+// Rarest first, the order patternsData arrives in
+const PATTERNS = [pattern('ick', 2, 0), pattern('bra', 1, 2), pattern('ack', 3, 1), pattern('ing', 9, 1)];
+
+const names = (patterns) => patterns.map(p => p.pattern);
+
+describe('sortPatterns', () => {
+  it('keeps the rarest-first order', () => {
+    expect(sortPatterns(PATTERNS, 'rarity')).toBe(PATTERNS);
+  });
+
+  it('sorts alphabetically and in rhyming order', () => {
+    expect(names(sortPatterns(PATTERNS, 'alpha'))).toEqual(['ack', 'bra', 'ick', 'ing']);
+    expect(names(sortPatterns(PATTERNS, 'reverse'))).toEqual(['bra', 'ing', 'ack', 'ick']);
+  });
+
+  it('sorts by endings against starts and by lopsidedness', () => {
+    expect(names(sortPatterns(PATTERNS, 'ratio'))).toEqual(['ing', 'ick', 'ack', 'bra']);
+    expect(names(sortPatterns(PATTERNS, 'lopsided'))).toEqual(['ick', 'ing', 'ack', 'bra']);
+  });
+
+  it('sorts by best word score when the scores are known', () => {
+    const topScores = new Map([['ick', 12], ['bra', 20], ['ack', 9], ['ing', 14]]);
+    expect(names(sortPatterns(PATTERNS, 'score', topScores))).toEqual(['bra', 'ing', 'ick', 'ack']);
+    expect(sortPatterns(PATTERNS, 'score')).toBe(PATTERNS);
+  });
+
+  it('does not change the list it is given', () => {
+    sortPatterns(PATTERNS, 'alpha');
+    expect(names(PATTERNS)).toEqual(['ick', 'bra', 'ack', 'ing']);
+  });
+});
+
+describe('groupPatterns', () => {
+  it('groups by first or last letter, keeping the sort inside each group', () => {
+    expect(groupPatterns(PATTERNS, 'first').map(group => [group.letter, names(group.patterns)])).toEqual([
+      ['A', ['ack']],
+      ['B', ['bra']],
+      ['I', ['ick', 'ing']]
+    ]);
+    expect(groupPatterns(PATTERNS, 'last').map(group => [group.letter, names(group.patterns)])).toEqual([
+      ['A', ['bra']],
+      ['G', ['ing']],
+      ['K', ['ick', 'ack']]
+    ]);
+  });
+
+  it('puts everything in one group otherwise', () => {
+    expect(groupPatterns(PATTERNS, 'none')).toEqual([{ letter: null, patterns: PATTERNS }]);
+  });
+});
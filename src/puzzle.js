@@ -0,0 +1,85 @@
+// Word-building puzzles on the starts and endings indexes together. A puzzle
+// fixes a prefix and a suffix ("UN- … -ABLE") and asks for every word with
+// both; the mask variant also fixes the length and maybe a middle letter
+// ("UN___ABLE"). Puzzles are made from a random word, and the number of
+// answers sets the level.
+
+export const PUZZLE_KINDS = {
+  affix: 'Prefix + Suffix',
+  mask: 'Crossword Mask'
+};
+
+// Fewer answers means a harder puzzle
+export const PUZZLE_LEVELS = {
+  easy: { label: 'Easy', min: 8, max: 30, points: 1 },
+  medium: { label: 'Medium', min: 4, max: 7, points: 2 },
+  hard: { label: 'Hard', min: 1, max: 3, points: 3 }
+};
+
+const MAX_PUZZLE_TRIES = 400;
+const BLANK = '_';
+
+const randomInt = (min, max, random) => min + Math.floor(random() * (max - min + 1));
+
+export const fitsPuzzle = (word, { prefix, suffix, mask }) => {
+  const lowerWord = word.toLowerCase();
+  if (!lowerWord.startsWith(prefix) || !lowerWord.endsWith(suffix)) return false;
+  if (!mask) return lowerWord.length >= prefix.length + suffix.length;
+  const letters = Array.from(lowerWord);
+  const slots = Array.from(mask);
+  return letters.length === slots.length && slots.every((slot, i) => slot === BLANK || slot === letters[i]);
+};
+
+// Every dictionary word that fits, read from whichever side of the index is smaller
+export const puzzleAnswers = (puzzle, wordIndices) => {
+  const { startsMap, endsMap } = wordIndices;
+  const fromStarts = startsMap.count(puzzle.prefix) <= endsMap.count(puzzle.suffix);
+  const candidates = (fromStarts ? startsMap.get(puzzle.prefix) : endsMap.get(puzzle.suffix)) || [];
+  return Array.from(new Set(candidates.map(word => word.toLowerCase())))
+    .filter(word => fitsPuzzle(word, puzzle))
+    .sort((a, b) => a.length - b.length || a.localeCompare(b));
+};
+
+// Prefix and suffix of a word, plus a mask that keeps them and at most one
+// middle letter in long words
+const puzzleFrom = (word, kind, random) => {
+  const letters = Array.from(word);
+  if (letters.length < 5 || !letters.every(char => /\p{L}/u.test(char))) return null;
+  const prefixLength = randomInt(1, 3, random);
+  const suffixLength = randomInt(2, 4, random);
+  if (prefixLength + suffixLength > letters.length - 1) return null;
+  const prefix = letters.slice(0, prefixLength).join('');
+  const suffix = letters.slice(-suffixLength).join('');
+  if (kind !== 'mask') return { kind, prefix, suffix, mask: null };
+
+  const middle = letters.length - prefixLength - suffixLength;
+  const shown = middle >= 3 ? prefixLength + randomInt(0, middle - 1, random) : -1;
+  const mask = letters
+    .map((char, i) => (i < prefixLength || i >= letters.length - suffixLength || i === shown ? char : BLANK))
+    .join('');
+  return { kind, prefix, suffix, mask };
+};
+
+// A puzzle with an answer count in the level's range, as
+// { kind, prefix, suffix, mask, level, answers }, or null if none turned up
+export const generatePuzzle = (words, wordIndices, kind, level, random = Math.random) => {
+  const { min, max } = PUZZLE_LEVELS[level];
+  const tried = new Set();
+  for (let tries = 0; tries < MAX_PUZZLE_TRIES && words.length > 0; tries++) {
+    const word = words[Math.floor(random() * words.length)].toLowerCase();
+    const puzzle = puzzleFrom(word, kind, random);
+    if (!puzzle) continue;
+    const id = `${puzzle.prefix}|${puzzle.suffix}|${puzzle.mask}`;
+    if (tried.has(id)) continue;
+    tried.add(id);
+    const answers = puzzleAnswers(puzzle, wordIndices);
+    if (answers.length >= min && answers.length <= max) return { ...puzzle, level, answers };
+  }
+  return null;
+};
+
+// Clue text, e.g. "UN- … -ABLE" or "UN___ABLE (9 letters)"
+export const describePuzzle = ({ prefix, suffix, mask }) =>
+  mask
+    ? `${mask.toUpperCase()} (${Array.from(mask).length} letters)`
+    : `${prefix.toUpperCase()}- … -${suffix.toUpperCase()}`;
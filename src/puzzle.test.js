@@ -0,0 +1,57 @@
+import { fitsPuzzle, puzzleAnswers, generatePuzzle, describePuzzle } from './puzzle';
+import { buildSortedIndex, createLookup } from './wordIndex';
+
+const WORDS = ['unable', 'unstable', 'untable', 'Unusable', 'unbeatable', 'table', 'unabled', 'undo'];
+const INDEX = buildSortedIndex(WORDS);
+const WORD_INDICES = {
+  startsMap: createLookup(WORDS, INDEX, 'starts'),
+  endsMap: createLookup(WORDS, INDEX, 'ends')
+};
+
+const AFFIX = { kind: 'affix', prefix: 'un', suffix: 'able', mask: null };
+const MASK = { kind: 'mask', prefix: 'un', suffix: 'able', mask: 'un__able' };
+
+describe('fitsPuzzle', () => {
+  it('needs the prefix and suffix without overlapping them', () => {
+    expect(fitsPuzzle('Unable', AFFIX)).toBe(true);
+    expect(fitsPuzzle('unabled', AFFIX)).toBe(false);
+    expect(fitsPuzzle('unable', { kind: 'affix', prefix: 'una', suffix: 'able', mask: null })).toBe(false);
+  });
+
+  it('needs the length and shown letters of a mask', () => {
+    expect(fitsPuzzle('unstable', MASK)).toBe(true);
+    expect(fitsPuzzle('unusable', MASK)).toBe(true);
+    expect(fitsPuzzle('unable', MASK)).toBe(false);
+    expect(fitsPuzzle('unstable', { ...MASK, mask: 'unt_able' })).toBe(false);
+  });
+});
+
+describe('puzzleAnswers', () => {
+  it('lists every fitting word once, shortest first', () => {
+    expect(puzzleAnswers(AFFIX, WORD_INDICES)).toEqual(['unable', 'untable', 'unstable', 'unusable', 'unbeatable']);
+    expect(puzzleAnswers(MASK, WORD_INDICES)).toEqual(['unstable', 'unusable']);
+  });
+});
+
+describe('generatePuzzle', () => {
+  it('makes a puzzle whose answer count fits the level', () => {
+    // Always UN- … -BLE from "unbeatable", which has 5 answers
+    const random = () => 0.5;
+    expect(generatePuzzle(['unbeatable'], WORD_INDICES, 'affix', 'hard', random)).toBeNull();
+    expect(generatePuzzle(['unbeatable'], WORD_INDICES, 'affix', 'medium', random)).toEqual({
+      kind: 'affix',
+      prefix: 'un',
+      suffix: 'ble',
+      mask: null,
+      level: 'medium',
+      answers: ['unable', 'untable', 'unstable', 'unusable', 'unbeatable']
+    });
+  });
+});
+
+describe('describePuzzle', () => {
+  it('writes the clue', () => {
+    expect(describePuzzle(AFFIX)).toBe('UN- … -ABLE');
+    expect(describePuzzle(MASK)).toBe('UN__ABLE (8 letters)');
+  });
+});
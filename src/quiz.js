@@ -0,0 +1,52 @@
+// Recognition quizzes for Learn mode. Decoys are made-up words built by joining
+// the start (or end) of a random dictionary word onto the pattern.
+
+export const QUIZ_MODES = ['choice', 'realfake'];
+
+const CHOICE_DECOYS = 3;
+const MAX_DECOY_TRIES = 500;
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Up to `count` non-words with the pattern, about as long as `like`
+export const makeDecoys = (pattern, type, like, dictionary, isValidWord, count, random = Math.random) => {
+  const decoys = new Set();
+  const baseLength = Math.max(2, like.length - pattern.length);
+  for (let tries = 0; decoys.size < count && tries < MAX_DECOY_TRIES; tries++) {
+    const word = dictionary[Math.floor(random() * dictionary.length)].toLowerCase();
+    const stemLength = baseLength + Math.floor(random() * 3) - 1;
+    if (stemLength < 2 || word.length <= stemLength || !/^\p{L}+$/u.test(word)) continue;
+    const decoy = type === 'ends' ? word.slice(0, stemLength) + pattern : pattern + word.slice(-stemLength);
+    if (!isValidWord(decoy)) decoys.add(decoy);
+  }
+  return Array.from(decoys);
+};
+
+// One question per word of the challenge: spot it among the decoys
+export const buildChoiceQuestions = (challenge, dictionary, isValidWord, random = Math.random) =>
+  challenge.words.map(word => {
+    const answer = word.toLowerCase();
+    const decoys = makeDecoys(challenge.pattern, challenge.type, answer, dictionary, isValidWord, CHOICE_DECOYS, random);
+    return { word: answer, isReal: true, options: shuffle([answer, ...decoys], random) };
+  });
+
+// Every word of the challenge plus as many decoys, in random order
+export const buildRealFakeQuestions = (challenge, dictionary, isValidWord, random = Math.random) => {
+  const real = challenge.words.map(word => ({ word: word.toLowerCase(), isReal: true }));
+  const fake = real.flatMap(({ word }) =>
+    makeDecoys(challenge.pattern, challenge.type, word, dictionary, isValidWord, 1, random)
+      .map(decoy => ({ word: decoy, isReal: false }))
+  );
+  return shuffle([...real, ...fake], random);
+};
+
+// Multiple-choice picks are words; real-vs-fake picks are 'real' or 'fake'
+export const isCorrectPick = (question, pick) =>
+  question.options ? pick === question.word : (pick === 'real') === question.isReal;
@@ -0,0 +1,56 @@
+import { makeDecoys, buildChoiceQuestions, buildRealFakeQuestions, isCorrectPick } from './quiz';
+
+const DICTIONARY = ['planet', 'garden', 'window', 'brick', 'trick'];
+const isValidWord = (word) => DICTIONARY.includes(word);
+const CHALLENGE = { pattern: 'ick', type: 'ends', words: ['Brick', 'trick'] };
+
+// Deterministic stand-in for Math.random
+const sequence = () => {
+  let seed = 7;
+  return () => {
+    seed = (seed * 9301 + 49297) % 233280;
+    return seed / 233280;
+  };
+};
+
+describe('makeDecoys', () => {
+  it('makes made-up words with the pattern', () => {
+    const decoys = makeDecoys('ick', 'ends', 'brick', DICTIONARY, isValidWord, 3, sequence());
+    expect(decoys.length).toBeGreaterThan(0);
+    expect(decoys.length).toBeLessThanOrEqual(3);
+    decoys.forEach(decoy => {
+      expect(decoy.endsWith('ick')).toBe(true);
+      expect(isValidWord(decoy)).toBe(false);
+    });
+    makeDecoys('un', 'starts', 'undo', DICTIONARY, isValidWord, 3, sequence())
+      .forEach(decoy => expect(decoy.startsWith('un')).toBe(true));
+  });
+
+  it('gives up when every attempt is a real word', () => {
+    expect(makeDecoys('ick', 'ends', 'brick', ['brick'], () => true, 3, sequence())).toEqual([]);
+  });
+});
+
+describe('questions', () => {
+  it('asks to spot each word among decoys', () => {
+    const questions = buildChoiceQuestions(CHALLENGE, DICTIONARY, isValidWord, sequence());
+    expect(questions.map(question => question.word)).toEqual(['brick', 'trick']);
+    questions.forEach(question => {
+      expect(question.options).toContain(question.word);
+      expect(new Set(question.options).size).toBe(question.options.length);
+    });
+  });
+
+  it('mixes every word with as many decoys', () => {
+    const questions = buildRealFakeQuestions(CHALLENGE, DICTIONARY, isValidWord, sequence());
+    expect(questions.filter(question => question.isReal).map(question => question.word).sort()).toEqual(['brick', 'trick']);
+    expect(questions.filter(question => !question.isReal).length).toBeLessThanOrEqual(2);
+  });
+
+  it('checks picks', () => {
+    expect(isCorrectPick({ word: 'brick', isReal: true, options: ['brick', 'glick'] }, 'brick')).toBe(true);
+    expect(isCorrectPick({ word: 'brick', isReal: true, options: ['brick', 'glick'] }, 'glick')).toBe(false);
+    expect(isCorrectPick({ word: 'glick', isReal: false }, 'fake')).toBe(true);
+    expect(isCorrectPick({ word: 'brick', isReal: true }, 'fake')).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+// Rarity tiers and learnable-pattern limits, saved separately for each dictionary.
+
+const STORAGE_KEY = 'goofys-jargon:rarity';
+
+// Tiers run from rarest to most common; `max` is the highest word count in the
+// tier, and the last tier takes every count above the one before it.
+export const DEFAULT_RARITY_SETTINGS = {
+  tiers: [
+    { id: 'ultra-rare', name: 'Ultra Rare', max: 5, color: '#dc2626' },
+    { id: 'rare', name: 'Rare', max: 10, color: '#ea580c' },
+    { id: 'uncommon', name: 'Uncommon', max: 50, color: '#ca8a04' },
+    { id: 'common', name: 'Common', max: 200, color: '#16a34a' },
+    { id: 'very-common', name: 'Very Common', max: null, color: '#0284c7' }
+  ],
+  countBy: 'total', // which Explore count decides rarity: 'total', 'ends' or 'starts'
+  learnable: { minWords: 2, maxWords: 15, minLength: 3, maxLength: null }
+};
+
+export const RARITY_COUNTS = {
+  total: 'All words with the pattern',
+  ends: 'Words ending with it',
+  starts: 'Words starting with it'
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Tier ids double as CSS class names and URL values
+export const TIER_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+const positiveInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+// Fill gaps from the defaults and drop anything unusable from storage
+const normalizeSettings = (stored) => {
+  const defaults = DEFAULT_RARITY_SETTINGS;
+  if (!stored || typeof stored !== 'object') return defaults;
+  const tiers = Array.isArray(stored.tiers)
+    ? stored.tiers
+      .filter(tier => tier && typeof tier.id === 'string' && TIER_ID_PATTERN.test(tier.id))
+      .map((tier, i) => ({
+        id: tier.id,
+        name: typeof tier.name === 'string' ? tier.name : `Tier ${i + 1}`,
+        max: tier.max === null ? null : positiveInt(tier.max, 1),
+        color: COLOR_PATTERN.test(tier.color) ? tier.color : '#64748b'
+      }))
+    : [];
+  const learnable = { ...defaults.learnable, ...stored.learnable };
+  return {
+    tiers: tiers.length >= 2 ? tiers : defaults.tiers,
+    countBy: RARITY_COUNTS[stored.countBy] ? stored.countBy : defaults.countBy,
+    learnable: {
+      minWords: positiveInt(learnable.minWords, defaults.learnable.minWords),
+      maxWords: positiveInt(learnable.maxWords, defaults.learnable.maxWords),
+      minLength: positiveInt(learnable.minLength, defaults.learnable.minLength),
+      maxLength: learnable.maxLength === null ? null : positiveInt(learnable.maxLength, null)
+    }
+  };
+};
+
+// Saved settings for every dictionary, keyed by dictionary id
+export const loadRaritySettings = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const saveRaritySettings = (settingsByDictionary) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settingsByDictionary));
+  } catch (err) {
+    // Storage full or disabled - settings are kept for this session only
+  }
+};
+
+export const raritySettingsFor = (settingsByDictionary, dictionaryId) =>
+  normalizeSettings(settingsByDictionary[dictionaryId]);
+
+// Tiers in lookup order, rarest first, with the last one open-ended
+export const sortTiers = (tiers) => {
+  const sorted = [...tiers].sort((a, b) => (a.max ?? Infinity) - (b.max ?? Infinity));
+  return sorted.map((tier, i) => ({ ...tier, max: i === sorted.length - 1 ? Infinity : tier.max ?? Infinity }));
+};
+
+// Index of the tier (from sortTiers) a word count falls into
+export const tierIndex = (count, sortedTiers) => {
+  const index = sortedTiers.findIndex(tier => count <= tier.max);
+  return index < 0 ? sortedTiers.length - 1 : index;
+};
+
+// Filter labels like "Rare (≤10)" and "Very Common (>200)"
+export const tierLabel = (sortedTiers, index) => {
+  const tier = sortedTiers[index];
+  if (tier.max !== Infinity) return `${tier.name} (≤${tier.max})`;
+  return index > 0 ? `${tier.name} (>${sortedTiers[index - 1].max})` : tier.name;
+};
+
+// Explore count that decides a grouped pattern's rarity
+export const rarityCount = (pattern, countBy) => {
+  if (countBy === 'ends') return pattern.endsCount;
+  if (countBy === 'starts') return pattern.startsCount;
+  return pattern.totalCount;
+};
+
+// Badge colours for the tiers; ids are checked when loaded, so they are safe as class names
+export const tierStyles = (tiers) =>
+  tiers.map(tier => `.rarity-badge.${tier.id} { background: ${tier.color}; }`).join('\n');
+
+// Id for a tier added in the settings panel
+export const newTierId = (tiers) => {
+  const ids = new Set(tiers.map(tier => tier.id));
+  let n = tiers.length + 1;
+  while (ids.has(`tier-${n}`)) n++;
+  return `tier-${n}`;
+};
+
+export const isLearnable = (count, length, { minWords, maxWords, minLength, maxLength }) =>
+  count >= minWords && count <= maxWords && length >= minLength && (maxLength === null || length <= maxLength);
+
+// "2-15 words, 3+ letters"
+export const describeLearnable = ({ minWords, maxWords, minLength, maxLength }) =>
+  `${minWords}-${maxWords} words, ${maxLength === null ? `${minLength}+` : `${minLength}-${maxLength}`} letters`;
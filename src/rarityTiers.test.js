@@ -0,0 +1,95 @@
+import {
+  DEFAULT_RARITY_SETTINGS,
+  raritySettingsFor,
+  sortTiers,
+  tierIndex,
+  tierLabel,
+  rarityCount,
+  newTierId,
+  isLearnable,
+  describeLearnable
+} from './rarityTiers';
+
+const TIERS = sortTiers(DEFAULT_RARITY_SETTINGS.tiers);
+
+describe('tiers', () => {
+  it('sorts tiers rarest first and opens up the last one', () => {
+    const sorted = sortTiers([
+      { id: 'common', max: null },
+      { id: 'rare', max: 10 },
+      { id: 'mid', max: 50 }
+    ]);
+    expect(sorted.map(tier => [tier.id, tier.max])).toEqual([['rare', 10], ['mid', 50], ['common', Infinity]]);
+  });
+
+  it('puts a count in the first tier it fits', () => {
+    expect(tierIndex(1, TIERS)).toBe(0);
+    expect(tierIndex(5, TIERS)).toBe(0);
+    expect(tierIndex(6, TIERS)).toBe(1);
+    expect(tierIndex(5000, TIERS)).toBe(TIERS.length - 1);
+  });
+
+  it('labels tiers with their bounds', () => {
+    expect(tierLabel(TIERS, 1)).toBe('Rare (≤10)');
+    expect(tierLabel(TIERS, TIERS.length - 1)).toBe('Very Common (>200)');
+  });
+
+  it('picks the count that decides rarity', () => {
+    const pattern = { endsCount: 3, startsCount: 8, totalCount: 11 };
+    expect(rarityCount(pattern, 'ends')).toBe(3);
+    expect(rarityCount(pattern, 'starts')).toBe(8);
+    expect(rarityCount(pattern, 'total')).toBe(11);
+  });
+
+  it('makes a tier id that is not taken', () => {
+    expect(newTierId([{ id: 'a' }, { id: 'tier-3' }])).toBe('tier-4');
+  });
+});
+
+describe('raritySettingsFor', () => {
+  it('gives the defaults for a dictionary without settings', () => {
+    expect(raritySettingsFor({}, 'enable')).toBe(DEFAULT_RARITY_SETTINGS);
+  });
+
+  it('drops unusable stored values', () => {
+    const settings = raritySettingsFor({
+      enable: {
+        tiers: [
+          { id: 'rare', name: 'Rare', max: '8', color: 'red' },
+          { id: 'Bad Id', name: 'Nope', max: 20 },
+          { id: 'common', max: null, color: '#00ff00' }
+        ],
+        countBy: 'sideways',
+        learnable: { minWords: -1, maxWords: 12 }
+      }
+    }, 'enable');
+    expect(settings.tiers).toEqual([
+      { id: 'rare', name: 'Rare', max: 8, color: '#64748b' },
+      { id: 'common', name: 'Tier 2', max: null, color: '#00ff00' }
+    ]);
+    expect(settings.countBy).toBe('total');
+    expect(settings.learnable).toEqual({ minWords: 2, maxWords: 12, minLength: 3, maxLength: null });
+  });
+
+  it('needs at least two tiers', () => {
+    expect(raritySettingsFor({ enable: { tiers: [{ id: 'only', max: 5 }] } }, 'enable').tiers)
+      .toBe(DEFAULT_RARITY_SETTINGS.tiers);
+  });
+});
+
+describe('learnable patterns', () => {
+  const limits = { minWords: 2, maxWords: 15, minLength: 3, maxLength: 4 };
+
+  it('checks word count and pattern length', () => {
+    expect(isLearnable(2, 3, limits)).toBe(true);
+    expect(isLearnable(16, 3, limits)).toBe(false);
+    expect(isLearnable(5, 2, limits)).toBe(false);
+    expect(isLearnable(5, 5, limits)).toBe(false);
+    expect(isLearnable(5, 9, { ...limits, maxLength: null })).toBe(true);
+  });
+
+  it('describes the limits', () => {
+    expect(describeLearnable(limits)).toBe('2-15 words, 3-4 letters');
+    expect(describeLearnable(DEFAULT_RARITY_SETTINGS.learnable)).toBe('2-15 words, 3+ letters');
+  });
+});
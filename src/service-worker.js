@@ -0,0 +1,83 @@
+/* eslint-disable no-restricted-globals */
+// Service worker, compiled by react-scripts with Workbox's InjectManifest.
+// Precaches the app shell and keeps dictionary files available offline.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+// Bump when the caching layout below changes; older caches are removed on activate
+const CACHE_VERSION = 'v1';
+const DICTIONARY_CACHE = `dictionaries-${CACHE_VERSION}`;
+const DICTIONARY_LIST_CACHE = `dictionary-list-${CACHE_VERSION}`;
+const OWN_CACHES = [DICTIONARY_CACHE, DICTIONARY_LIST_CACHE];
+
+clientsClaim();
+
+// Precache all of the assets generated by the build process
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so the app shell works offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// The dictionary list changes when word lists are added, so prefer the network
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('/dictionaries.json'),
+  new NetworkFirst({
+    cacheName: DICTIONARY_LIST_CACHE,
+    plugins: [new CacheableResponsePlugin({ statuses: [200] })]
+  })
+);
+
+const isDataFile = (url) =>
+  url.origin === self.location.origin &&
+  url.pathname.endsWith('.json') &&
+  !url.pathname.endsWith('/dictionaries.json') &&
+  !url.pathname.endsWith('/manifest.json');
+
+const dataPlugins = () => [
+  new CacheableResponsePlugin({ statuses: [200] }),
+  new ExpirationPlugin({ maxEntries: 20, purgeOnQuotaError: true })
+];
+
+// Word lists and lexicons versioned through their ?v= query: a cached copy is always current
+registerRoute(
+  ({ url }) => isDataFile(url) && url.searchParams.has('v'),
+  new CacheFirst({ cacheName: DICTIONARY_CACHE, plugins: dataPlugins() })
+);
+
+// Unversioned ones are served from the cache and refreshed in the background
+registerRoute(
+  ({ url }) => isDataFile(url),
+  new StaleWhileRevalidate({ cacheName: DICTIONARY_CACHE, plugins: dataPlugins() })
+);
+
+// Drop dictionary caches from older cache versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys
+        .filter(key => /^dictionar(ies|y-list)-/.test(key) && !OWN_CACHES.includes(key))
+        .map(key => caches.delete(key))
+    ))
+  );
+});
+
+// Lets the page activate a waiting service worker
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,61 @@
+// Keyboard shortcuts, listed for the help overlay. Letter shortcuts work when
+// no text box has focus; the Alt versions also work while typing an answer.
+
+export const SHORTCUT_GROUPS = [
+  {
+    name: 'Anywhere',
+    shortcuts: [
+      { keys: ['?'], action: 'Show or hide this help' },
+      { keys: ['Esc'], action: 'Close help, a definition, pattern details or a comparison' },
+      { keys: ['/'], action: 'Jump to the search or answer box' }
+    ]
+  },
+  {
+    name: 'Explore',
+    shortcuts: [
+      { keys: ['J', 'K'], action: 'Move to the next / previous pattern' },
+      { keys: ['Enter'], action: 'Expand or collapse the focused pattern' },
+      { keys: ['D'], action: 'Open details for the expanded pattern' },
+      { keys: ['C'], action: 'Add the expanded pattern to the comparison' }
+    ]
+  },
+  {
+    name: 'Learn setup',
+    shortcuts: [
+      { keys: ['1', '–', '6'], action: 'Choose a game mode' },
+      { keys: ['Space'], action: 'Select or unselect the focused pattern' },
+      { keys: ['A'], action: 'Select all visible patterns' },
+      { keys: ['S'], action: 'Start practicing' }
+    ]
+  },
+  {
+    name: 'Learn practice',
+    shortcuts: [
+      { keys: ['Enter'], action: 'Submit your answer' },
+      { keys: ['Alt', 'S'], action: 'Skip the word or show all words' },
+      { keys: ['Alt', 'H'], action: 'Take a hint' },
+      { keys: ['Alt', 'N'], action: 'Next pattern or question' },
+      { keys: ['Alt', 'R'], action: 'Hear the word again' },
+      { keys: ['1', '–', '4'], action: 'Pick a multiple-choice answer' },
+      { keys: ['R', 'F'], action: 'Real word / made up' }
+    ]
+  }
+];
+
+// True when a key press is text entry for a form field rather than a shortcut
+export const isTypingTarget = (element) =>
+  Boolean(element) && (
+    element.isContentEditable ||
+    (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) && !['checkbox', 'radio', 'button'].includes(element.type))
+  );
+
+// Move focus to the next (+1) or previous (-1) element matching a selector
+export const moveFocus = (selector, step) => {
+  const elements = Array.from(document.querySelectorAll(selector));
+  if (elements.length === 0) return;
+  const current = elements.indexOf(document.activeElement);
+  const next = current < 0
+    ? (step > 0 ? 0 : elements.length - 1)
+    : Math.min(elements.length - 1, Math.max(0, current + step));
+  elements[next].focus();
+};
@@ -0,0 +1,41 @@
+import { isTypingTarget, moveFocus } from './shortcuts';
+
+describe('isTypingTarget', () => {
+  it('is true for text fields and editable content only', () => {
+    const input = (type) => Object.assign(document.createElement('input'), { type });
+    expect(isTypingTarget(input('text'))).toBe(true);
+    expect(isTypingTarget(document.createElement('textarea'))).toBe(true);
+    expect(isTypingTarget(document.createElement('select'))).toBe(true);
+    expect(isTypingTarget(input('checkbox'))).toBe(false);
+    expect(isTypingTarget(input('radio'))).toBe(false);
+    expect(isTypingTarget(document.createElement('button'))).toBe(false);
+    expect(isTypingTarget({ tagName: 'DIV', isContentEditable: true })).toBe(true);
+    expect(isTypingTarget(null)).toBe(false);
+  });
+});
+
+describe('moveFocus', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<button class="item">1</button><button class="item">2</button><button class="item">3</button>';
+  });
+
+  it('starts at the first or last element and stops at the ends', () => {
+    const items = document.querySelectorAll('.item');
+    moveFocus('.item', 1);
+    expect(document.activeElement).toBe(items[0]);
+    moveFocus('.item', 1);
+    moveFocus('.item', 1);
+    moveFocus('.item', 1);
+    expect(document.activeElement).toBe(items[2]);
+
+    document.activeElement.blur();
+    moveFocus('.item', -1);
+    expect(document.activeElement).toBe(items[2]);
+    moveFocus('.item', -1);
+    expect(document.activeElement).toBe(items[1]);
+  });
+
+  it('does nothing without matching elements', () => {
+    expect(() => moveFocus('.missing', 1)).not.toThrow();
+  });
+});
@@ -0,0 +1,119 @@
+// SM-2 style spaced-repetition scheduler for Learn mode. Each dictionary has
+// its own schedule, in which patterns are keyed by `${pattern}_${type}` (same
+// as selectedPatterns) and words by their lowercase spelling with a `word:` prefix.
+
+const STORAGE_KEY = 'goofys-jargon:srs-by-dictionary';
+// One schedule shared by every dictionary, as saved by earlier versions
+const LEGACY_STORAGE_KEY = 'goofys-jargon:srs';
+const NO_SCHEDULE = {};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+export const wordKey = (word) => `word:${word.toLowerCase()}`;
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const endOfDay = (time) => startOfDay(time) + DAY_MS - 1;
+
+// Schedules for every dictionary, keyed by dictionary id. A schedule saved
+// before they were split goes to `legacyDictionaryId`, the last one used.
+export const loadSchedules = (legacyDictionaryId = null) => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (stored) return JSON.parse(stored);
+    const legacy = window.localStorage.getItem(LEGACY_STORAGE_KEY);
+    return legacy && legacyDictionaryId ? { [legacyDictionaryId]: JSON.parse(legacy) } : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const saveSchedules = (schedulesByDictionary) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(schedulesByDictionary));
+  } catch (err) {
+    // Storage full or disabled - scheduling still works for this session
+  }
+};
+
+export const scheduleFor = (schedulesByDictionary, dictionaryId) =>
+  schedulesByDictionary[dictionaryId] || NO_SCHEDULE;
+
+// Convert a success ratio (0-1) into an SM-2 quality grade (0-5)
+export const gradeFromRatio = (correct, total) => {
+  if (total <= 0) return 0;
+  return Math.round((correct / total) * 5);
+};
+
+// Apply one review with quality 0-5 and return the updated card
+export const reviewCard = (card, quality, now = Date.now()) => {
+  const previous = card || { ease: DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0 };
+  let { ease, interval, repetitions, lapses } = previous;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(interval * ease);
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  return {
+    ease,
+    interval,
+    repetitions,
+    lapses,
+    lastQuality: quality,
+    lastReviewed: now,
+    due: startOfDay(now) + interval * DAY_MS
+  };
+};
+
+export const isDue = (card, now = Date.now()) => !card || card.due <= endOfDay(now);
+
+// Lower score = study sooner. New items sit between overdue and not-yet-due ones.
+const priority = (card, now) => {
+  if (!card) return 0;
+  const daysUntilDue = (card.due - endOfDay(now)) / DAY_MS;
+  // Overdue cards first (most overdue, then hardest), future cards by due date
+  return daysUntilDue <= 0 ? daysUntilDue - 1 / card.ease : daysUntilDue;
+};
+
+const byPriority = (schedule, now, keyOf) => (a, b) =>
+  priority(schedule[keyOf(a)], now) - priority(schedule[keyOf(b)], now);
+
+// Pick which selected pattern to show next, avoiding an immediate repeat
+export const pickNextPattern = (patternKeys, schedule, now = Date.now(), previousKey = null) => {
+  if (patternKeys.length === 0) return null;
+  const candidates = patternKeys.length > 1
+    ? patternKeys.filter(key => key !== previousKey)
+    : patternKeys;
+  return [...candidates].sort(byPriority(schedule, now, key => key))[0];
+};
+
+// Order a pattern's words so due and frequently missed words come first
+export const orderWords = (words, schedule, now = Date.now()) =>
+  [...words].sort(byPriority(schedule, now, wordKey));
+
+// Scheduled pattern keys that are due by the end of today
+export const getDuePatternKeys = (schedule, now = Date.now()) =>
+  Object.keys(schedule)
+    .filter(key => !key.startsWith('word:') && isDue(schedule[key], now))
+    .sort(byPriority(schedule, now, key => key));
+
+// Reviewed pattern keys, hardest first: lowest ease, then most lapses
+export const getWeakestPatternKeys = (schedule, count, isAvailable = () => true) =>
+  Object.keys(schedule)
+    .filter(key => !key.startsWith('word:') && isAvailable(key))
+    .sort((a, b) => schedule[a].ease - schedule[b].ease || schedule[b].lapses - schedule[a].lapses)
+    .slice(0, count);
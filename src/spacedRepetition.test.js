@@ -0,0 +1,117 @@
+import {
+  reviewCard,
+  gradeFromRatio,
+  isDue,
+  pickNextPattern,
+  getDuePatternKeys,
+  getWeakestPatternKeys,
+  loadSchedules,
+  scheduleFor
+} from './spacedRepetition';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 2, 10, 15, 30).getTime();
+
+describe('reviewCard', () => {
+  it('schedules a new card for tomorrow, then six days, then by its ease', () => {
+    const first = reviewCard(null, 5, NOW);
+    expect(first).toMatchObject({ interval: 1, repetitions: 1, lapses: 0, lastQuality: 5, lastReviewed: NOW });
+    expect(first.ease).toBeCloseTo(2.6);
+
+    const second = reviewCard(first, 5, NOW);
+    expect(second.interval).toBe(6);
+
+    const third = reviewCard(second, 4, NOW);
+    expect(third.interval).toBe(Math.round(6 * second.ease));
+    expect(third.repetitions).toBe(3);
+  });
+
+  it('makes a card due at the start of the day it is scheduled for', () => {
+    const card = reviewCard(null, 4, NOW);
+    const today = new Date(NOW);
+    today.setHours(0, 0, 0, 0);
+    expect(card.due).toBe(today.getTime() + DAY_MS);
+    expect(isDue(card, NOW)).toBe(false);
+    expect(isDue(card, NOW + DAY_MS)).toBe(true);
+  });
+
+  it('starts a lapsed card over and lowers its ease, but not below 1.3', () => {
+    let card = reviewCard(reviewCard(null, 5, NOW), 5, NOW);
+    card = reviewCard(card, 1, NOW);
+    expect(card).toMatchObject({ interval: 1, repetitions: 0, lapses: 1 });
+
+    for (let i = 0; i < 10; i++) card = reviewCard(card, 0, NOW);
+    expect(card.ease).toBe(1.3);
+    expect(card.lapses).toBe(11);
+  });
+});
+
+describe('gradeFromRatio', () => {
+  it('turns a success ratio into a 0-5 grade', () => {
+    expect(gradeFromRatio(4, 4)).toBe(5);
+    expect(gradeFromRatio(1, 2)).toBe(3);
+    expect(gradeFromRatio(0, 3)).toBe(0);
+    expect(gradeFromRatio(0, 0)).toBe(0);
+  });
+});
+
+describe('getWeakestPatternKeys', () => {
+  const schedule = {
+    ick_ends: { ease: 2.5, lapses: 0 },
+    un_starts: { ease: 1.3, lapses: 2 },
+    ness_ends: { ease: 1.3, lapses: 5 },
+    pre_starts: { ease: 2.0, lapses: 1 },
+    'word:brick': { ease: 1.3, lapses: 9 }
+  };
+
+  it('lists patterns by lowest ease, then most lapses, skipping words', () => {
+    expect(getWeakestPatternKeys(schedule, 10)).toEqual(['ness_ends', 'un_starts', 'pre_starts', 'ick_ends']);
+    expect(getWeakestPatternKeys(schedule, 2)).toEqual(['ness_ends', 'un_starts']);
+  });
+
+  it('leaves out patterns that are not available', () => {
+    expect(getWeakestPatternKeys(schedule, 2, key => key !== 'ness_ends')).toEqual(['un_starts', 'pre_starts']);
+  });
+});
+
+describe('pickNextPattern', () => {
+  it('prefers overdue patterns and avoids showing the same one twice in a row', () => {
+    const schedule = {
+      ick_ends: reviewCard(null, 5, NOW - 10 * DAY_MS),
+      un_starts: reviewCard(null, 5, NOW)
+    };
+    expect(pickNextPattern(['un_starts', 'ick_ends'], schedule, NOW)).toBe('ick_ends');
+    expect(pickNextPattern(['un_starts', 'ick_ends'], schedule, NOW, 'ick_ends')).toBe('un_starts');
+    expect(pickNextPattern(['ick_ends'], schedule, NOW, 'ick_ends')).toBe('ick_ends');
+    expect(pickNextPattern([], schedule, NOW)).toBeNull();
+  });
+});
+
+describe('getDuePatternKeys', () => {
+  it('lists patterns due by the end of today, most overdue first, skipping words', () => {
+    const schedule = {
+      ick_ends: reviewCard(null, 5, NOW - 2 * DAY_MS),
+      un_starts: reviewCard(null, 5, NOW - 5 * DAY_MS),
+      ack_ends: reviewCard(null, 5, NOW),
+      'word:brick': reviewCard(null, 0, NOW - 5 * DAY_MS)
+    };
+    expect(getDuePatternKeys(schedule, NOW)).toEqual(['un_starts', 'ick_ends']);
+  });
+});
+
+describe('schedules by dictionary', () => {
+  afterEach(() => window.localStorage.clear());
+
+  it('keeps a separate schedule for each dictionary', () => {
+    const schedules = { enable: { ick_ends: reviewCard(null, 5, NOW) } };
+    expect(scheduleFor(schedules, 'enable')).toBe(schedules.enable);
+    expect(scheduleFor(schedules, 'sowpods')).toEqual({});
+  });
+
+  it('gives a schedule saved before the split to the last used dictionary', () => {
+    const legacy = { ick_ends: reviewCard(null, 5, NOW) };
+    window.localStorage.setItem('goofys-jargon:srs', JSON.stringify(legacy));
+    expect(loadSchedules('enable')).toEqual({ enable: legacy });
+    expect(loadSchedules(null)).toEqual({});
+  });
+});
@@ -0,0 +1,60 @@
+// Spoken words through the browser's speech synthesis, with a saved voice and speed.
+
+const SETTINGS_KEY = 'goofys-jargon:speech';
+
+export const SPEECH_RATES = [0.5, 0.75, 1, 1.25, 1.5];
+
+// voiceURI '' means the browser's default voice for the dictionary's language
+export const DEFAULT_SPEECH_SETTINGS = { voiceURI: '', rate: 1, autoPlay: true };
+
+export const isSpeechSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+
+export const loadSpeechSettings = () => {
+  try {
+    const stored = window.localStorage.getItem(SETTINGS_KEY);
+    return stored ? { ...DEFAULT_SPEECH_SETTINGS, ...JSON.parse(stored) } : DEFAULT_SPEECH_SETTINGS;
+  } catch (err) {
+    return DEFAULT_SPEECH_SETTINGS;
+  }
+};
+
+export const saveSpeechSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    // Settings just won't be remembered
+  }
+};
+
+// Some browsers load voices asynchronously; onChange gets the list whenever it
+// changes. Returns a function that stops watching.
+export const watchVoices = (onChange) => {
+  if (!isSpeechSupported()) return () => {};
+  const synth = window.speechSynthesis;
+  const update = () => onChange(synth.getVoices());
+  update();
+  synth.addEventListener('voiceschanged', update);
+  return () => synth.removeEventListener('voiceschanged', update);
+};
+
+// Speak a word, cutting off anything still being spoken
+export const speak = (text, { voiceURI, rate }, lang) => {
+  if (!isSpeechSupported()) return;
+  const synth = window.speechSynthesis;
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  const voice = synth.getVoices().find(v => v.voiceURI === voiceURI);
+  if (voice) {
+    utterance.voice = voice;
+    utterance.lang = voice.lang;
+  } else if (lang) {
+    utterance.lang = lang;
+  }
+  utterance.rate = rate;
+  synth.cancel();
+  synth.speak(utterance);
+};
+
+export const stopSpeaking = () => {
+  if (isSpeechSupported()) window.speechSynthesis.cancel();
+};
@@ -0,0 +1,129 @@
+// Persistent log of finished study sessions and the stats derived from it.
+
+const STORAGE_KEY = 'goofys-jargon:history';
+const MASTERED_INTERVAL_DAYS = 21;
+
+// Display names for the Learn game a session was played in
+export const GAME_MODES = {
+  find: 'Find Words',
+  repeat: 'Repeat After Me',
+  dictation: 'Dictation',
+  choice: 'Multiple Choice',
+  realfake: 'Real or Fake?',
+  party: 'Pass & Play'
+};
+
+export const loadHistory = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveHistory = (history) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  } catch (err) {
+    // Storage full or disabled - history is kept for this session only
+  }
+};
+
+// Local calendar day as YYYY-MM-DD
+export const dayKey = (time) => {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const previousDayKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return dayKey(new Date(year, month - 1, day - 1));
+};
+
+export const buildSession = ({ startedAt, endedAt = Date.now(), dictionary, mode, patterns, found, missed, correct, attempts, points = 0, hints = [] }) => ({
+  id: `${startedAt}`,
+  date: new Date(startedAt).toISOString(),
+  dictionary,
+  mode,
+  patterns,
+  wordsFound: found,
+  wordsMissed: missed,
+  correct,
+  attempts,
+  points,
+  // Words a Find Words hint was used for, with the strongest hint: [{ word, hint }]
+  hintsUsed: hints,
+  accuracy: attempts > 0 ? correct / attempts : 0,
+  durationMs: endedAt - startedAt
+});
+
+// Current and longest run of consecutive days with at least one session
+export const getStreaks = (history, now = Date.now()) => {
+  const days = new Set(history.map(session => dayKey(session.date)));
+  const sorted = Array.from(days).sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  sorted.forEach(day => {
+    run = previous && previousDayKey(day) === previous ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = day;
+  });
+
+  // The current streak may end today or yesterday
+  let current = 0;
+  let cursor = days.has(dayKey(now)) ? dayKey(now) : previousDayKey(dayKey(now));
+  while (days.has(cursor)) {
+    current += 1;
+    cursor = previousDayKey(cursor);
+  }
+
+  return { current, longest };
+};
+
+// Accuracy per day for the last `days` days, oldest first
+export const getAccuracyTrend = (history, days = 14, now = Date.now()) => {
+  const totals = new Map();
+  history.forEach(session => {
+    const key = dayKey(session.date);
+    const entry = totals.get(key) || { correct: 0, attempts: 0 };
+    entry.correct += session.correct;
+    entry.attempts += session.attempts;
+    totals.set(key, entry);
+  });
+
+  const trend = [];
+  let cursor = dayKey(now);
+  for (let i = 0; i < days; i++) {
+    const entry = totals.get(cursor);
+    trend.unshift({
+      day: cursor,
+      attempts: entry ? entry.attempts : 0,
+      accuracy: entry && entry.attempts > 0 ? entry.correct / entry.attempts : null
+    });
+    cursor = previousDayKey(cursor);
+  }
+  return trend;
+};
+
+export const getMostMissedWords = (history, limit = 20) => {
+  const counts = new Map();
+  history.forEach(session => {
+    session.wordsMissed.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  });
+  return Array.from(counts.entries())
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, limit);
+};
+
+// Patterns whose review interval has grown past three weeks
+export const getMasteredPatterns = (schedule) =>
+  Object.entries(schedule)
+    .filter(([key, card]) => !key.startsWith('word:') && card.interval >= MASTERED_INTERVAL_DAYS)
+    .map(([key]) => key)
+    .sort();
@@ -0,0 +1,104 @@
+import { dayKey, buildSession, getStreaks, getAccuracyTrend, getMostMissedWords, getMasteredPatterns } from './studyHistory';
+
+const at = (day, hour = 12) => new Date(2024, 2, day, hour).getTime();
+const session = (day, fields = {}) => ({
+  date: new Date(at(day)).toISOString(),
+  correct: 0,
+  attempts: 0,
+  wordsMissed: [],
+  ...fields
+});
+
+describe('buildSession', () => {
+  it('records what was studied, with accuracy and time spent', () => {
+    const built = buildSession({
+      startedAt: at(10, 9),
+      endedAt: at(10, 9) + 90000,
+      dictionary: 'enable',
+      mode: 'find',
+      patterns: ['ick_ends'],
+      found: ['brick'],
+      missed: ['thick'],
+      correct: 3,
+      attempts: 4
+    });
+    expect(built).toMatchObject({
+      id: `${at(10, 9)}`,
+      date: new Date(at(10, 9)).toISOString(),
+      dictionary: 'enable',
+      mode: 'find',
+      patterns: ['ick_ends'],
+      wordsFound: ['brick'],
+      wordsMissed: ['thick'],
+      points: 0,
+      hintsUsed: [],
+      accuracy: 0.75,
+      durationMs: 90000
+    });
+  });
+
+  it('has no accuracy before the first attempt', () => {
+    expect(buildSession({ startedAt: at(10), correct: 0, attempts: 0 }).accuracy).toBe(0);
+  });
+});
+
+describe('dayKey', () => {
+  it('gives the local calendar day', () => {
+    expect(dayKey(at(5, 23))).toBe('2024-03-05');
+    expect(dayKey(new Date(2024, 0, 1, 0, 5))).toBe('2024-01-01');
+  });
+});
+
+describe('getStreaks', () => {
+  it('counts the longest run and the run ending today or yesterday', () => {
+    const history = [session(1), session(2), session(3), session(3), session(6), session(7)];
+    expect(getStreaks(history, at(8))).toEqual({ current: 2, longest: 3 });
+    expect(getStreaks(history, at(7))).toEqual({ current: 2, longest: 3 });
+    expect(getStreaks(history, at(9))).toEqual({ current: 0, longest: 3 });
+  });
+
+  it('runs across the end of a month', () => {
+    const history = [session(0), session(1)];
+    expect(getStreaks(history, at(1))).toEqual({ current: 2, longest: 2 });
+  });
+});
+
+describe('getAccuracyTrend', () => {
+  it('gives accuracy per day, oldest first, with gaps for days off', () => {
+    const history = [
+      session(8, { correct: 3, attempts: 4 }),
+      session(8, { correct: 1, attempts: 4 }),
+      session(10, { correct: 2, attempts: 2 })
+    ];
+    expect(getAccuracyTrend(history, 3, at(10))).toEqual([
+      { day: '2024-03-08', attempts: 8, accuracy: 0.5 },
+      { day: '2024-03-09', attempts: 0, accuracy: null },
+      { day: '2024-03-10', attempts: 2, accuracy: 1 }
+    ]);
+  });
+});
+
+describe('getMostMissedWords', () => {
+  it('counts misses across sessions, most missed first', () => {
+    const history = [
+      session(1, { wordsMissed: ['thick', 'brick'] }),
+      session(2, { wordsMissed: ['thick', 'slick'] })
+    ];
+    expect(getMostMissedWords(history, 2)).toEqual([
+      { word: 'thick', count: 2 },
+      { word: 'brick', count: 1 }
+    ]);
+  });
+});
+
+describe('getMasteredPatterns', () => {
+  it('lists patterns reviewed at intervals of three weeks or more', () => {
+    const schedule = {
+      un_starts: { interval: 30 },
+      ick_ends: { interval: 21 },
+      ack_ends: { interval: 6 },
+      'word:brick': { interval: 40 }
+    };
+    expect(getMasteredPatterns(schedule)).toEqual(['ick_ends', 'un_starts']);
+  });
+});
@@ -0,0 +1,67 @@
+// Timed Find Words runs: clock settings, bonus scoring and the on-device leaderboard.
+
+const LEADERBOARD_KEY = 'goofys-jargon:leaderboard';
+const PLAYER_KEY = 'goofys-jargon:player';
+const LEADERBOARD_SIZE = 10;
+
+export const TIMER_MODES = {
+  off: { name: 'No Timer' },
+  pattern: { name: '60s per Pattern', seconds: 60, perPattern: true },
+  blitz: { name: '5-Minute Blitz', seconds: 300, perPattern: false }
+};
+
+// Extra points for finding a word from a pattern in one of the three rarest tiers
+const RARITY_BONUS = [10, 5, 2];
+
+// x1 to start, +0.5 for every 3 words found in a row, up to x3
+export const streakMultiplier = (streak) => Math.min(3, 1 + Math.floor(streak / 3) * 0.5);
+
+// Points for a word found after `streak` correct words in a row; rarityRank is
+// the pattern's tier, 0 for the rarest
+export const timedWordPoints = (baseScore, rarityRank, streak) =>
+  Math.round((baseScore + (RARITY_BONUS[rarityRank] || 0)) * streakMultiplier(streak));
+
+// Runs are ranked against others with the same clock, dictionary and patterns
+export const leaderboardKey = (timerMode, dictionary, patternKeys) =>
+  `${timerMode}|${dictionary}|${[...patternKeys].sort().join(',')}`;
+
+export const loadLeaderboard = () => {
+  try {
+    const stored = window.localStorage.getItem(LEADERBOARD_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (err) {
+    return {};
+  }
+};
+
+export const saveLeaderboard = (leaderboard) => {
+  try {
+    window.localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboard));
+  } catch (err) {
+    // Storage full or disabled - scores are kept for this session only
+  }
+};
+
+// Adds a run and keeps the best few; rank is the run's place, or -1 if it didn't make the board
+export const addRun = (leaderboard, key, run) => {
+  const runs = [...(leaderboard[key] || []), run]
+    .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+    .slice(0, LEADERBOARD_SIZE);
+  return { leaderboard: { ...leaderboard, [key]: runs }, rank: runs.indexOf(run) };
+};
+
+export const loadPlayerName = () => {
+  try {
+    return window.localStorage.getItem(PLAYER_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+};
+
+export const savePlayerName = (name) => {
+  try {
+    window.localStorage.setItem(PLAYER_KEY, name);
+  } catch (err) {
+    // Name just won't be remembered
+  }
+};
@@ -0,0 +1,37 @@
+import { streakMultiplier, timedWordPoints, leaderboardKey, addRun } from './timedChallenge';
+
+describe('scoring', () => {
+  it('raises the multiplier every three words in a row, up to x3', () => {
+    expect([0, 2, 3, 5, 6, 12, 30].map(streakMultiplier)).toEqual([1, 1, 1.5, 1.5, 2, 3, 3]);
+  });
+
+  it('adds a bonus for the three rarest tiers before multiplying', () => {
+    expect(timedWordPoints(7, 0, 0)).toBe(17);
+    expect(timedWordPoints(7, 2, 3)).toBe(14);
+    expect(timedWordPoints(7, 3, 6)).toBe(14);
+  });
+});
+
+describe('leaderboard', () => {
+  it('ranks runs with the same clock, dictionary and patterns together', () => {
+    expect(leaderboardKey('blitz', 'enable', ['un_starts', 'ick_ends'])).toBe('blitz|enable|ick_ends,un_starts');
+  });
+
+  it('keeps the ten best runs and gives the new run its place', () => {
+    const key = leaderboardKey('blitz', 'enable', ['ick_ends']);
+    let leaderboard = {};
+    for (let i = 1; i <= 10; i++) {
+      leaderboard = addRun(leaderboard, key, { score: i * 10, date: `2024-03-${String(i).padStart(2, '0')}` }).leaderboard;
+    }
+
+    const middle = addRun(leaderboard, key, { score: 55, date: '2024-03-20' });
+    expect(middle.rank).toBe(5);
+    expect(middle.leaderboard[key]).toHaveLength(10);
+    expect(middle.leaderboard[key][9].score).toBe(20);
+
+    const tie = addRun(leaderboard, key, { score: 100, date: '2024-03-20' });
+    expect(tie.rank).toBe(1);
+
+    expect(addRun(leaderboard, key, { score: 5, date: '2024-03-20' }).rank).toBe(-1);
+  });
+});
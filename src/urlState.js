@@ -0,0 +1,131 @@
+// Hash-based routes so every view, filter and drill set has a shareable URL:
+//
+//   #/explore?q=ck&len=4&rarity=ultra-rare&sort=alpha&group=last&open=ck
+//   #/explore?detail=ion
+//   #/explore?compare=ick,ack,uck
+//   #/learn?type=ends&game=find&timer=blitz&select=ick_ends,ock_ends&study=1
+//   #/anagrams?rack=retains
+//   #/puzzles?puzzle=mask&level=hard
+//
+// Values equal to their defaults are left out of the URL.
+
+import { SORT_ORDERS, GROUPINGS } from './patternSort';
+import { GAME_MODES } from './studyHistory';
+import { TIMER_MODES } from './timedChallenge';
+import { PUZZLE_KINDS, PUZZLE_LEVELS } from './puzzle';
+import { TIER_ID_PATTERN } from './rarityTiers';
+
+const MODE_PATHS = {
+  explore: 'explore',
+  learn: 'learn',
+  anagram: 'anagrams',
+  puzzle: 'puzzles',
+  progress: 'progress'
+};
+
+export const DEFAULT_ROUTE = {
+  mode: 'explore',
+  dict: null,
+  q: '',
+  len: 'all',
+  rarity: 'all',
+  sort: 'rarity',
+  group: 'none',
+  open: null,
+  detail: null,
+  compare: [],
+  type: 'all',
+  game: 'find',
+  timer: 'off',
+  filter: '',
+  select: [],
+  study: false,
+  rack: '',
+  puzzle: 'affix',
+  level: 'easy'
+};
+
+// Fields edited in many small steps (typing, ticking boxes); changes to these
+// replace the current history entry instead of adding one
+const INCREMENTAL_FIELDS = ['q', 'filter', 'rack', 'select'];
+
+// Pattern types the Learn list can be narrowed to
+const PATTERN_TYPES = { ends: 'Suffixes', starts: 'Prefixes', all: 'Both' };
+
+// Most patterns the compare view shows side by side
+export const MAX_COMPARED = 3;
+
+// A comparison needs at least 2 patterns
+const compareList = (value) => {
+  const patterns = value ? Array.from(new Set(value.split(',').filter(Boolean))).slice(0, MAX_COMPARED) : [];
+  return patterns.length >= 2 ? patterns : DEFAULT_ROUTE.compare;
+};
+
+// A value from the URL if it is one of `known`'s keys, else the default
+const known = (value, options, field) =>
+  value !== null && Object.prototype.hasOwnProperty.call(options, value) ? value : DEFAULT_ROUTE[field];
+
+// Distinct pattern keys to study, in URL order
+const selectList = (value) => (value ? Array.from(new Set(value.split(',').filter(Boolean))) : DEFAULT_ROUTE.select);
+
+// Pattern lengths and rarity tiers depend on the dictionary, so only their
+// form is checked here; App falls back to 'all' for ones it doesn't have
+export const parseRoute = (hash) => {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const params = new URLSearchParams(query);
+  const mode = Object.keys(MODE_PATHS).find(key => MODE_PATHS[key] === path) || DEFAULT_ROUTE.mode;
+
+  return {
+    mode,
+    dict: params.get('dict') || DEFAULT_ROUTE.dict,
+    q: params.get('q') || DEFAULT_ROUTE.q,
+    len: /^[1-9]\d*$/.test(params.get('len')) ? params.get('len') : DEFAULT_ROUTE.len,
+    rarity: TIER_ID_PATTERN.test(params.get('rarity') || '') ? params.get('rarity') : DEFAULT_ROUTE.rarity,
+    sort: known(params.get('sort'), SORT_ORDERS, 'sort'),
+    group: known(params.get('group'), GROUPINGS, 'group'),
+    open: params.get('open') || DEFAULT_ROUTE.open,
+    detail: params.get('detail') || DEFAULT_ROUTE.detail,
+    compare: compareList(params.get('compare')),
+    type: known(params.get('type'), PATTERN_TYPES, 'type'),
+    game: known(params.get('game'), GAME_MODES, 'game'),
+    timer: known(params.get('timer'), TIMER_MODES, 'timer'),
+    filter: params.get('filter') || DEFAULT_ROUTE.filter,
+    select: selectList(params.get('select')),
+    study: params.get('study') === '1',
+    rack: params.get('rack') || DEFAULT_ROUTE.rack,
+    puzzle: known(params.get('puzzle'), PUZZLE_KINDS, 'puzzle'),
+    level: known(params.get('level'), PUZZLE_LEVELS, 'level')
+  };
+};
+
+// Only the fields that belong to a mode are written for it
+const MODE_FIELDS = {
+  explore: ['q', 'len', 'rarity', 'sort', 'group', 'open', 'detail', 'compare'],
+  learn: ['type', 'game', 'timer', 'filter', 'select', 'study'],
+  anagram: ['rack'],
+  puzzle: ['puzzle', 'level'],
+  progress: []
+};
+
+export const buildRoute = (route) => {
+  const params = new URLSearchParams();
+  ['dict', ...MODE_FIELDS[route.mode]].forEach(field => {
+    const value = route[field];
+    if (Array.isArray(value)) {
+      if (value.length > 0) params.set(field, value.join(','));
+    } else if (field === 'study') {
+      if (value) params.set(field, '1');
+    } else if (value !== null && value !== DEFAULT_ROUTE[field]) {
+      params.set(field, value);
+    }
+  });
+
+  const query = params.toString();
+  return `#/${MODE_PATHS[route.mode]}${query ? `?${query}` : ''}`;
+};
+
+// True if two routes differ only in incrementally edited fields
+export const onlyIncrementalChanges = (a, b) =>
+  Object.keys(DEFAULT_ROUTE).every(field =>
+    INCREMENTAL_FIELDS.includes(field) || JSON.stringify(a[field]) === JSON.stringify(b[field])
+  );
@@ -0,0 +1,51 @@
+import { DEFAULT_ROUTE, parseRoute, buildRoute, onlyIncrementalChanges } from './urlState';
+
+const route = (fields) => ({ ...DEFAULT_ROUTE, ...fields });
+
+describe('route round-trips', () => {
+  it.each([
+    ['the default Explore view', route({})],
+    ['Explore filters', route({ dict: 'sowpods', q: 'ck', len: '4', rarity: 'ultra-rare', sort: 'alpha', group: 'last', open: 'ck' })],
+    ['a pattern detail view', route({ detail: 'ion' })],
+    ['a pattern comparison', route({ compare: ['ick', 'ack', 'uck'] })],
+    ['a study session', route({ mode: 'learn', type: 'ends', game: 'dictation', timer: 'blitz', select: ['ick_ends', 'ock_ends'], study: true })],
+    ['an anagram rack', route({ mode: 'anagram', rack: 'retains?' })],
+    ['a puzzle', route({ mode: 'puzzle', puzzle: 'mask', level: 'hard' })],
+    ['the progress dashboard', route({ mode: 'progress', dict: 'enable' })]
+  ])('keeps %s', (_, original) => {
+    expect(parseRoute(buildRoute(original))).toEqual(original);
+  });
+
+  it('leaves defaults and other modes\' fields out of the URL', () => {
+    expect(buildRoute(route({}))).toBe('#/explore');
+    expect(buildRoute(route({ mode: 'anagram', q: 'ck', rack: 'abc' }))).toBe('#/anagrams?rack=abc');
+  });
+});
+
+describe('parseRoute', () => {
+  it('falls back to defaults for unknown paths and values', () => {
+    expect(parseRoute('#/nowhere?sort=sideways&group=middle&game=chess&len=0')).toEqual(DEFAULT_ROUTE);
+    expect(parseRoute('')).toEqual(DEFAULT_ROUTE);
+    expect(parseRoute('#/explore?len=4x').len).toBe('all');
+    expect(parseRoute('#/explore?rarity=Rare!').rarity).toBe('all');
+    expect(parseRoute('#/learn?type=x&timer=forever')).toEqual(route({ mode: 'learn' }));
+    expect(parseRoute('#/puzzles?puzzle=sudoku&level=impossible')).toEqual(route({ mode: 'puzzle' }));
+  });
+
+  it('keeps each selected pattern once', () => {
+    expect(parseRoute('#/learn?select=ick_ends,,ock_ends,ick_ends').select).toEqual(['ick_ends', 'ock_ends']);
+  });
+
+  it('keeps 2 to 3 distinct patterns to compare', () => {
+    expect(parseRoute('#/explore?compare=ick').compare).toEqual([]);
+    expect(parseRoute('#/explore?compare=ick,ick').compare).toEqual([]);
+    expect(parseRoute('#/explore?compare=ick,ack,,ick,uck,eck').compare).toEqual(['ick', 'ack', 'uck']);
+  });
+});
+
+describe('onlyIncrementalChanges', () => {
+  it('is true when just typed or ticked fields differ', () => {
+    expect(onlyIncrementalChanges(route({ q: 'c' }), route({ q: 'ck', select: ['ick_ends'] }))).toBe(true);
+    expect(onlyIncrementalChanges(route({ q: 'c' }), route({ q: 'ck', sort: 'alpha' }))).toBe(false);
+  });
+});
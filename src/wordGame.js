@@ -0,0 +1,55 @@
+// Word-game rules: tile values, word scores and dictionary validity checks.
+
+const RULESET_KEY = 'goofys-jargon:ruleset';
+
+export const RULESETS = {
+  scrabble: {
+    name: 'Scrabble',
+    tiles: {
+      a: 1, b: 3, c: 3, d: 2, e: 1, f: 4, g: 2, h: 4, i: 1, j: 8, k: 5, l: 1, m: 3,
+      n: 1, o: 1, p: 3, q: 10, r: 1, s: 1, t: 1, u: 1, v: 4, w: 4, x: 8, y: 4, z: 10
+    }
+  },
+  wwf: {
+    name: 'Words With Friends',
+    tiles: {
+      a: 1, b: 4, c: 4, d: 2, e: 1, f: 4, g: 3, h: 3, i: 1, j: 10, k: 5, l: 2, m: 4,
+      n: 2, o: 1, p: 4, q: 10, r: 1, s: 1, t: 1, u: 2, v: 5, w: 4, x: 8, y: 3, z: 10
+    }
+  }
+};
+
+export const DEFAULT_RULESET = 'scrabble';
+
+export const loadRuleset = () => {
+  try {
+    const stored = window.localStorage.getItem(RULESET_KEY);
+    return RULESETS[stored] ? stored : DEFAULT_RULESET;
+  } catch (err) {
+    return DEFAULT_RULESET;
+  }
+};
+
+export const saveRuleset = (id) => {
+  try {
+    window.localStorage.setItem(RULESET_KEY, id);
+  } catch (err) {
+    // Choice just won't be remembered
+  }
+};
+
+// Sum of tile values; letters without a tile (accents, hyphens) score nothing
+export const scoreWord = (word, rulesetId = DEFAULT_RULESET) => {
+  const { tiles } = RULESETS[rulesetId];
+  return Array.from(word.toLowerCase()).reduce((sum, char) => sum + (tiles[char] || 0), 0);
+};
+
+// Scores for every word, indexed like the word list
+export const scoreWords = (words, rulesetId = DEFAULT_RULESET) =>
+  Int32Array.from(words, word => scoreWord(word, rulesetId));
+
+// Returns isValidWord(word), a case-insensitive membership test for the word list
+export const createWordChecker = (words) => {
+  const known = new Set(words.map(word => word.toLowerCase()));
+  return (word) => known.has(word.trim().toLowerCase());
+};
@@ -0,0 +1,28 @@
+import { scoreWord, scoreWords, createWordChecker } from './wordGame';
+
+describe('scoreWord', () => {
+  it('adds up tile values for a ruleset', () => {
+    expect(scoreWord('quiz')).toBe(22);
+    expect(scoreWord('QUIZ', 'scrabble')).toBe(22);
+    expect(scoreWord('quiz', 'wwf')).toBe(23);
+  });
+
+  it('scores nothing for letters without a tile', () => {
+    expect(scoreWord("café-o'")).toBe(scoreWord('cafo'));
+  });
+});
+
+describe('scoreWords', () => {
+  it('scores a whole word list in order', () => {
+    expect(Array.from(scoreWords(['cat', 'zoo']))).toEqual([5, 12]);
+  });
+});
+
+describe('createWordChecker', () => {
+  it('checks words regardless of case and surrounding spaces', () => {
+    const isValidWord = createWordChecker(['Brick', 'trick']);
+    expect(isValidWord(' brick ')).toBe(true);
+    expect(isValidWord('TRICK')).toBe(true);
+    expect(isValidWord('thick')).toBe(false);
+  });
+});
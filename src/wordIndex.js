@@ -0,0 +1,145 @@
+// Compact prefix/suffix index over a word list.
+//
+// Instead of a Map entry per start and ending of every word, words are kept
+// in two sorted orders: alphabetically (for starts) and by reversed spelling
+// (for endings). Every node of a prefix or suffix trie then corresponds to a
+// contiguous range of one of these orders, found with two binary searches.
+// The orders are Int32Arrays of word ids, so they can be transferred from a
+// worker without copying.
+
+const reverse = (word) => Array.from(word).reverse().join('');
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const sortedOrder = (keys) =>
+  Int32Array.from(keys.keys()).sort((a, b) => compare(keys[a], keys[b]));
+
+export const buildSortedIndex = (words) => {
+  const prefixKeys = words.map(word => word.toLowerCase());
+  const suffixKeys = prefixKeys.map(reverse);
+  return {
+    byPrefix: sortedOrder(prefixKeys),
+    bySuffix: sortedOrder(suffixKeys)
+  };
+};
+
+// First position in `order` whose key is >= target
+const lowerBound = (order, keyAt, target) => {
+  let lo = 0;
+  let hi = order.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (keyAt(order[mid]) < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// [start, end) range of `order` holding the words whose key starts with `part`
+const rangeOf = (order, keyAt, part) => [
+  lowerBound(order, keyAt, part),
+  lowerBound(order, keyAt, `${part}\uffff`)
+];
+
+const prefixKeyOf = (words) => (id) => words[id].toLowerCase();
+const suffixKeyOf = (words) => (id) => reverse(words[id].toLowerCase());
+
+export const startsRange = (words, index, pattern) =>
+  rangeOf(index.byPrefix, prefixKeyOf(words), pattern.toLowerCase());
+
+export const endsRange = (words, index, pattern) =>
+  rangeOf(index.bySuffix, suffixKeyOf(words), reverse(pattern.toLowerCase()));
+
+// Words in a range, in original dictionary order
+export const wordsInRange = (words, order, [start, end]) =>
+  Array.from(order.slice(start, end).sort(), id => words[id]);
+
+// Largest of values[id] over the words in a range (0 for an empty range)
+export const maxInRange = (order, [start, end], values) => {
+  let max = 0;
+  for (let i = start; i < end; i++) {
+    if (values[order[i]] > max) max = values[order[i]];
+  }
+  return max;
+};
+
+// Map-like view over one side of the index: lookup.get('ing') -> words ending in "ing"
+export const createLookup = (words, index, type) => {
+  const order = type === 'ends' ? index.bySuffix : index.byPrefix;
+  const findRange = type === 'ends' ? endsRange : startsRange;
+  return {
+    get: (pattern) => {
+      const range = findRange(words, index, pattern);
+      return range[1] > range[0] ? wordsInRange(words, order, range) : undefined;
+    },
+    has: (pattern) => {
+      const [start, end] = findRange(words, index, pattern);
+      return end > start;
+    },
+    count: (pattern) => {
+      const [start, end] = findRange(words, index, pattern);
+      return end - start;
+    }
+  };
+};
+
+// Every start or ending (min-max letters) shared by 2+ words, as
+// { pattern, length, startsRange, endsRange }. The other side of a pattern
+// is filled in even when it has fewer than 2 words.
+export const countPatterns = (words, index, { min, max }, onProgress = () => {}) => {
+  const groups = new Map();
+  const sides = [
+    { order: index.byPrefix, keyAt: prefixKeyOf(words), field: 'startsRange' },
+    { order: index.bySuffix, keyAt: suffixKeyOf(words), field: 'endsRange' }
+  ];
+  const steps = sides.length * (max - min + 1);
+  let step = 0;
+
+  sides.forEach(({ order, keyAt, field }) => {
+    const keys = Array.from(order, keyAt);
+    for (let len = min; len <= max; len++) {
+      // Words sharing a len-letter start (or ending) are contiguous in sorted order
+      let runKey = null;
+      let runStart = 0;
+      for (let i = 0; i <= keys.length; i++) {
+        const part = i < keys.length && keys[i].length >= len ? keys[i].slice(0, len) : null;
+        if (part === runKey) continue;
+        if (runKey !== null && i - runStart >= 2) {
+          const pattern = field === 'endsRange' ? reverse(runKey) : runKey;
+          if (!groups.has(pattern)) groups.set(pattern, { pattern, length: len });
+          groups.get(pattern)[field] = [runStart, i];
+        }
+        runKey = part;
+        runStart = i;
+      }
+      step += 1;
+      onProgress(step / steps);
+    }
+  });
+
+  groups.forEach(group => {
+    if (!group.startsRange) group.startsRange = startsRange(words, index, group.pattern);
+    if (!group.endsRange) group.endsRange = endsRange(words, index, group.pattern);
+  });
+
+  return Array.from(groups.values());
+};
+
+// Index a word list and analyze its patterns (rarest first), reporting progress as it goes
+export const buildDictionaryData = (words, patternLengths, report = () => {}) => {
+  report('Indexing words', 10);
+  const index = buildSortedIndex(words);
+
+  report('Analyzing patterns', 40);
+  const patterns = countPatterns(words, index, patternLengths, fraction =>
+    report('Analyzing patterns', 40 + Math.round(fraction * 55))
+  );
+
+  const countOf = ([start, end]) => end - start;
+  patterns.sort((a, b) =>
+    countOf(a.startsRange) + countOf(a.endsRange) - countOf(b.startsRange) - countOf(b.endsRange)
+  );
+
+  report('Finishing up', 100);
+  return { words, index, patterns };
+};
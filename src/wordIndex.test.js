@@ -0,0 +1,61 @@
+import { buildSortedIndex, createLookup, countPatterns, startsRange, maxInRange } from './wordIndex';
+
+const WORDS = ['brick', 'trick', 'unable', 'thick', 'undo', 'Under', 'cat'];
+const INDEX = buildSortedIndex(WORDS);
+
+const countOf = ([start, end]) => end - start;
+
+describe('createLookup', () => {
+  it('finds words by their ending, in dictionary order', () => {
+    const ends = createLookup(WORDS, INDEX, 'ends');
+    expect(ends.get('ick')).toEqual(['brick', 'trick', 'thick']);
+    expect(ends.count('ck')).toBe(3);
+    expect(ends.has('ick')).toBe(true);
+  });
+
+  it('finds words by their start regardless of case', () => {
+    const starts = createLookup(WORDS, INDEX, 'starts');
+    expect(starts.get('UN')).toEqual(['unable', 'undo', 'Under']);
+    expect(starts.count('und')).toBe(2);
+  });
+
+  it('has nothing for a pattern no word uses', () => {
+    const starts = createLookup(WORDS, INDEX, 'starts');
+    expect(starts.get('zz')).toBeUndefined();
+    expect(starts.has('zz')).toBe(false);
+    expect(starts.count('zz')).toBe(0);
+  });
+});
+
+describe('countPatterns', () => {
+  const patterns = countPatterns(WORDS, INDEX, { min: 2, max: 3 });
+  const byPattern = new Map(patterns.map(group => [group.pattern, group]));
+
+  it('keeps only starts and endings shared by two or more words', () => {
+    expect(Array.from(byPattern.keys()).sort()).toEqual(['ck', 'ick', 'un', 'und']);
+    expect(byPattern.get('und').length).toBe(3);
+  });
+
+  it('fills in the other side of each pattern', () => {
+    const un = byPattern.get('un');
+    expect(countOf(un.startsRange)).toBe(3);
+    expect(countOf(un.endsRange)).toBe(0);
+    expect(countOf(byPattern.get('ick').endsRange)).toBe(3);
+    expect(countOf(byPattern.get('ick').startsRange)).toBe(0);
+  });
+
+  it('reports progress up to 1', () => {
+    const progress = [];
+    countPatterns(WORDS, INDEX, { min: 2, max: 3 }, fraction => progress.push(fraction));
+    expect(progress).toHaveLength(4);
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+});
+
+describe('maxInRange', () => {
+  it('gives the largest value among the words in a range', () => {
+    const lengths = WORDS.map(word => word.length);
+    expect(maxInRange(INDEX.byPrefix, startsRange(WORDS, INDEX, 'un'), lengths)).toBe(6);
+    expect(maxInRange(INDEX.byPrefix, startsRange(WORDS, INDEX, 'zz'), lengths)).toBe(0);
+  });
+});
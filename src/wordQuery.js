@@ -0,0 +1,108 @@
+// Word search query language for Explore.
+//
+//   c?ck*      ? is one letter, * is any run of letters; matches the whole word
+//   [aeiou]x   a character class (use [^...] to exclude letters)
+//   ^qu / ity$ ^ and $ anchor to the start or end; unanchored ends stay open
+//   -xq-       the app's dash notation: -ing ends, un- starts, -xq- contains;
+//              it works with wildcards too (-c?ck-)
+//
+// Plain letters with none of these keep the regular pattern search.
+
+const SPECIAL = /[?*[\]^$]/;
+
+export const isWordQuery = (query) => {
+  const trimmed = query.trim();
+  return SPECIAL.test(trimmed) || /^-|-$/.test(trimmed);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a query into { anchorStart, anchorEnd, tokens }, or throw on bad syntax
+export const parseWordQuery = (query) => {
+  let body = query.trim().toLowerCase();
+  let anchorStart;
+  let anchorEnd;
+
+  const outsideClasses = body.replace(/\[[^\]]*\]/g, '');
+
+  if (outsideClasses.includes('^') || outsideClasses.includes('$')) {
+    anchorStart = body.startsWith('^');
+    anchorEnd = body.endsWith('$');
+    body = body.replace(/^\^/, '').replace(/\$$/, '');
+  } else {
+    // Globs match the whole word unless dash notation opens an end: -c?ck-
+    anchorStart = !body.startsWith('-');
+    anchorEnd = !body.endsWith('-');
+    body = body.replace(/^-/, '').replace(/-$/, '');
+  }
+
+  const tokens = [];
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '?') {
+      tokens.push({ type: 'single', source: '.' });
+    } else if (char === '*') {
+      if (tokens[tokens.length - 1]?.type !== 'any') tokens.push({ type: 'any' });
+    } else if (char === '[') {
+      const close = body.indexOf(']', i + 1);
+      const inner = close === -1 ? '' : body.slice(i + 1, close);
+      if (!/^\^?[\p{L}'-]+$/u.test(inner)) {
+        throw new Error('Character classes look like [aeiou] or [^aeiou]');
+      }
+      tokens.push({ type: 'single', source: `[${inner}]` });
+      i = close;
+    } else if (/[\p{L}'-]/u.test(char)) {
+      const last = tokens[tokens.length - 1];
+      if (last?.type === 'literal') last.text += char;
+      else tokens.push({ type: 'literal', text: char });
+    } else {
+      throw new Error(`Unexpected "${char}" in search`);
+    }
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('Type some letters or wildcards to search');
+  }
+  return { anchorStart, anchorEnd, tokens };
+};
+
+const compileQuery = ({ anchorStart, anchorEnd, tokens }) => {
+  const source = tokens.map(token => {
+    if (token.type === 'literal') return escapeRegExp(token.text);
+    if (token.type === 'single') return `(${token.source})`;
+    return '(.*?)';
+  }).join('');
+  return new RegExp(`${anchorStart ? '^' : ''}${source}${anchorEnd ? '$' : ''}`, 'u');
+};
+
+// Group key: the query with each single-letter wildcard filled in,
+// e.g. "c?ck*" -> "cock*", using dash notation for open ends
+const groupKeyOf = ({ anchorStart, anchorEnd, tokens }, match) => {
+  let captured = 1;
+  const body = tokens.map(token => {
+    if (token.type === 'literal') return token.text;
+    const value = match[captured];
+    captured += 1;
+    return token.type === 'single' ? value : '*';
+  }).join('');
+  return `${anchorStart ? '' : '-'}${body}${anchorEnd ? '' : '-'}`;
+};
+
+// Search the dictionary and group matches, rarest group first
+export const searchWords = (words, query) => {
+  const parsed = parseWordQuery(query);
+  const regex = compileQuery(parsed);
+  const groups = new Map();
+
+  words.forEach(word => {
+    const match = regex.exec(word.toLowerCase());
+    if (!match) return;
+    const key = groupKeyOf(parsed, match);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(word);
+  });
+
+  return Array.from(groups.entries())
+    .map(([key, matched]) => ({ key, words: matched, count: matched.length }))
+    .sort((a, b) => a.count - b.count || a.key.localeCompare(b.key));
+};
@@ -0,0 +1,63 @@
+import { isWordQuery, parseWordQuery, searchWords } from './wordQuery';
+
+const WORDS = ['cock', 'check', 'chuck', 'cockle', 'clock', 'quit', 'quite', 'acquit', 'hint', 'unit'];
+
+describe('isWordQuery', () => {
+  it('tells wildcard and dash queries from plain pattern searches', () => {
+    expect(isWordQuery('c?ck*')).toBe(true);
+    expect(isWordQuery('-ing')).toBe(true);
+    expect(isWordQuery('un-')).toBe(true);
+    expect(isWordQuery('ing')).toBe(false);
+  });
+});
+
+describe('parseWordQuery', () => {
+  it('anchors globs to the whole word', () => {
+    expect(parseWordQuery('c?ck')).toMatchObject({ anchorStart: true, anchorEnd: true });
+  });
+
+  it('reads dash notation as open ends', () => {
+    expect(parseWordQuery('-ing')).toMatchObject({ anchorStart: false, anchorEnd: true });
+    expect(parseWordQuery('-xq-')).toMatchObject({ anchorStart: false, anchorEnd: false });
+  });
+
+  it('reads dash notation around wildcards as open ends, not hyphens', () => {
+    expect(parseWordQuery('-c?ck-')).toEqual({
+      anchorStart: false,
+      anchorEnd: false,
+      tokens: [{ type: 'literal', text: 'c' }, { type: 'single', source: '.' }, { type: 'literal', text: 'ck' }]
+    });
+    expect(parseWordQuery('c?ck-')).toMatchObject({ anchorStart: true, anchorEnd: false });
+  });
+
+  it('rejects bad syntax', () => {
+    expect(() => parseWordQuery('c[1]t')).toThrow('Character classes');
+    expect(() => parseWordQuery('c.t')).toThrow('Unexpected "."');
+    expect(() => parseWordQuery('*')).not.toThrow();
+  });
+});
+
+describe('searchWords', () => {
+  it('groups matches by the letters the wildcards stood for, rarest first', () => {
+    expect(searchWords(WORDS, 'c??ck')).toEqual([
+      { key: 'check', words: ['check'], count: 1 },
+      { key: 'chuck', words: ['chuck'], count: 1 },
+      { key: 'clock', words: ['clock'], count: 1 }
+    ]);
+  });
+
+  it('collapses runs of letters into a star in the group key', () => {
+    expect(searchWords(WORDS, 'c?ck*')).toEqual([
+      { key: 'cock*', words: ['cock', 'cockle'], count: 2 }
+    ]);
+  });
+
+  it('supports anchors and character classes', () => {
+    expect(searchWords(WORDS, '^qu').map(group => group.key)).toEqual(['qu-']);
+    expect(searchWords(WORDS, '[^u]it$')).toEqual([
+      { key: '-nit', words: ['unit'], count: 1 }
+    ]);
+    expect(searchWords(WORDS, '-uit').flatMap(group => group.words)).toEqual(['quit', 'acquit']);
+    expect(searchWords(WORDS, '-c?ck-').flatMap(group => group.words)).toEqual(['cock', 'cockle']);
+  });
+});